@@ -11,14 +11,25 @@ const swaggerSpec = require('./swagger');
 
 const kosiRouter = require('./routes/kosi');
 const komentarjiRouter = require('./routes/komentarji');
+const popravilaRouter = require('./routes/popravila');
+const priponkeRouter = require('./routes/priponke');
+const verzijeRouter = require('./routes/verzije');
 const labeleRouter = require('./routes/labele');
 const uporabnikiRouter = require('./routes/uporabniki');
+const izposojeRouter = require('./routes/izposoje');
+const nastopiRouter = require('./routes/nastopi');
+const uvoziRouter = require('./routes/uvozi');
+const izvozRouter = require('./routes/izvoz');
+const kopijeRouter = require('./routes/kopije');
+const revizijaRouter = require('./routes/revizija');
+const smetiRouter = require('./routes/smeti');
 
 const app = express();
 
 app.use(cors({
   origin: 'http://localhost:3001', // allow your frontend origin
-  credentials: true               // allow cookies/auth if needed
+  credentials: true,              // allow cookies/auth if needed
+  exposedHeaders: ['X-Total-Count', 'Link'] // frontend mora brati glave za ostranjevanje
 }));
 
 app.use(logger('dev'));
@@ -39,7 +50,17 @@ app.use((err, req, res, next) => {
 
 app.use('/api/kosi', kosiRouter);
 app.use('/api/kosi/:kos_id/komentarji', komentarjiRouter);
+app.use('/api/kosi/:kos_id/popravila', popravilaRouter);
+app.use('/api/kosi/:kos_id/priponke', priponkeRouter);
+app.use('/api/kosi/:kos_id/verzije', verzijeRouter);
 app.use('/api/labele', labeleRouter);
 app.use('/api/uporabniki', uporabnikiRouter);
+app.use('/api/izposoje', izposojeRouter);
+app.use('/api/nastopi', nastopiRouter);
+app.use('/api/uvozi', uvoziRouter);
+app.use('/api/izvoz', izvozRouter);
+app.use('/api/kopije', kopijeRouter);
+app.use('/api/revizija', revizijaRouter);
+app.use('/api/smeti', smetiRouter);
 
 module.exports = app;
@@ -0,0 +1,53 @@
+/**
+ * Začetna shema, kot jo je predpostavljala prva verzija zalednega dela.
+ * Obstoječe baze te tabele že imajo, zato jih ustvarimo samo, če manjkajo.
+ *
+ * Migracije 002–012 so bile dodane skupaj s funkcionalnostmi, ki so nastale pred izvajalnikom migracij;
+ * npm run migracije jih izvede po vrsti za to začetno shemo.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE IF NOT EXISTS uporabnik (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uporabnisko_ime VARCHAR(50) NOT NULL,
+            geslo VARCHAR(255) NOT NULL,
+            tip_uporabnika ENUM('garderober/-ka', 'plesalec/-ka', 'glasbenik/-ca') NOT NULL,
+            UNIQUE KEY uporabnik_uporabnisko_ime (uporabnisko_ime)
+        )`,
+        `CREATE TABLE IF NOT EXISTS labela (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            naziv VARCHAR(100) NOT NULL,
+            tip ENUM('pokrajina', 'tip_oblacila', 'spol', 'velikost', 'drugo') NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS kos (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ime VARCHAR(255) NOT NULL,
+            tip ENUM('slika', 'audio', 'video', 'pdf') NOT NULL,
+            vsebina LONGBLOB NOT NULL,
+            poskodovano BOOLEAN NOT NULL DEFAULT FALSE
+        )`,
+        `CREATE TABLE IF NOT EXISTS kos_labela (
+            kos_id INT NOT NULL,
+            labela_id INT NOT NULL,
+            PRIMARY KEY (kos_id, labela_id),
+            CONSTRAINT kos_labela_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            -- brez ON DELETE CASCADE kot v obstoječih bazah; povezave pred brisanjem labele odstrani aplikacija
+            CONSTRAINT kos_labela_labela_fk FOREIGN KEY (labela_id) REFERENCES labela(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS komentar (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            kos_id INT NOT NULL,
+            uporabnik_id INT NOT NULL,
+            besedilo TEXT NOT NULL,
+            CONSTRAINT komentar_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            CONSTRAINT komentar_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id)
+        )`
+    ],
+    dol: [
+        'DROP TABLE komentar',
+        'DROP TABLE kos_labela',
+        'DROP TABLE kos',
+        'DROP TABLE labela',
+        'DROP TABLE uporabnik'
+    ]
+};
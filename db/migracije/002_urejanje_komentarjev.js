@@ -0,0 +1,43 @@
+/**
+ * Urejanje in mehko brisanje komentarjev; komentarji izbrisanih uporabnikov ostanejo brez avtorja.
+ */
+module.exports = {
+    gor: [
+        // baze, starejše od migracij, imajo ključ pod imenom, ki ga je izbral MySQL (npr. komentar_ibfk_2)
+        async (conn) => {
+            const [kljuci] = await conn.query(`
+                SELECT CONSTRAINT_NAME AS ime
+                FROM information_schema.KEY_COLUMN_USAGE
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'komentar'
+                    AND COLUMN_NAME = 'uporabnik_id' AND REFERENCED_TABLE_NAME IS NOT NULL
+            `);
+            for (const { ime } of kljuci) {
+                await conn.query(`ALTER TABLE komentar DROP FOREIGN KEY \`${ime}\``);
+            }
+        },
+        `ALTER TABLE komentar
+            MODIFY uporabnik_id INT NULL,
+            ADD urejeno_ob DATETIME NULL,
+            ADD urejeno_od INT NULL,
+            ADD izbrisano_ob DATETIME NULL,
+            ADD izbrisano_od INT NULL,
+            ADD CONSTRAINT komentar_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id) ON DELETE SET NULL,
+            ADD CONSTRAINT komentar_urejeno_od_fk FOREIGN KEY (urejeno_od) REFERENCES uporabnik(id) ON DELETE SET NULL,
+            ADD CONSTRAINT komentar_izbrisano_od_fk FOREIGN KEY (izbrisano_od) REFERENCES uporabnik(id) ON DELETE SET NULL`
+    ],
+    dol: [
+        // komentarjev brez avtorja v prejšnji shemi ni mogoče zapisati
+        'DELETE FROM komentar WHERE uporabnik_id IS NULL',
+        `ALTER TABLE komentar
+            DROP FOREIGN KEY komentar_uporabnik_fk,
+            DROP FOREIGN KEY komentar_urejeno_od_fk,
+            DROP FOREIGN KEY komentar_izbrisano_od_fk`,
+        `ALTER TABLE komentar
+            DROP COLUMN urejeno_ob,
+            DROP COLUMN urejeno_od,
+            DROP COLUMN izbrisano_ob,
+            DROP COLUMN izbrisano_od,
+            MODIFY uporabnik_id INT NOT NULL,
+            ADD CONSTRAINT komentar_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id)`
+    ]
+};
@@ -0,0 +1,29 @@
+/**
+ * Osvežilni žetoni, preklic dostopnih žetonov ob odjavi in preklic vseh žetonov uporabnika.
+ */
+module.exports = {
+    gor: [
+        'ALTER TABLE uporabnik ADD zetoni_veljavni_od DATETIME NULL',
+        `CREATE TABLE osvezilni_zeton (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uporabnik_id INT NOT NULL,
+            zeton_hash CHAR(64) NOT NULL,
+            ustvarjeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            velja_do DATETIME NOT NULL,
+            preklican_ob DATETIME NULL,
+            nadomescen_z INT NULL, -- ID žetona, ki je ta žeton zamenjal ob osvežitvi
+            UNIQUE KEY osvezilni_zeton_hash (zeton_hash),
+            CONSTRAINT osvezilni_zeton_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE preklican_zeton (
+            jti VARCHAR(64) PRIMARY KEY,
+            velja_do DATETIME NOT NULL,
+            KEY preklican_zeton_velja_do (velja_do)
+        )`
+    ],
+    dol: [
+        'DROP TABLE preklican_zeton',
+        'DROP TABLE osvezilni_zeton',
+        'ALTER TABLE uporabnik DROP COLUMN zetoni_veljavni_od'
+    ]
+};
@@ -0,0 +1,15 @@
+/**
+ * Profil uporabnika: prikazno ime in kontakt.
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE uporabnik
+            ADD prikazno_ime VARCHAR(100) NULL,
+            ADD kontakt VARCHAR(255) NULL`
+    ],
+    dol: [
+        `ALTER TABLE uporabnik
+            DROP COLUMN prikazno_ime,
+            DROP COLUMN kontakt`
+    ]
+};
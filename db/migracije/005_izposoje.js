@@ -0,0 +1,27 @@
+/**
+ * Izposoje kosov članom skupine.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE izposoja (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            kos_id INT NOT NULL,
+            uporabnik_id INT NULL,
+            izposodil_id INT NULL,
+            izposojeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            rok_vrnitve DATE NOT NULL,
+            opombe TEXT NULL,
+            vrnjeno_ob DATETIME NULL,
+            prejel_id INT NULL,
+            opombe_ob_vracilu TEXT NULL,
+            KEY izposoja_kos_vrnjeno (kos_id, vrnjeno_ob),
+            CONSTRAINT izposoja_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            CONSTRAINT izposoja_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id) ON DELETE SET NULL,
+            CONSTRAINT izposoja_izposodil_fk FOREIGN KEY (izposodil_id) REFERENCES uporabnik(id) ON DELETE SET NULL,
+            CONSTRAINT izposoja_prejel_fk FOREIGN KEY (prejel_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`
+    ],
+    dol: [
+        'DROP TABLE izposoja'
+    ]
+};
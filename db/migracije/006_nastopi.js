@@ -0,0 +1,38 @@
+/**
+ * Nastopi, plesalci na nastopu in kosi, dodeljeni plesalcem.
+ * Odstranitev plesalca z nastopa odstrani tudi njegove dodeljene kose.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE nastop (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            naziv VARCHAR(255) NOT NULL,
+            datum DATE NOT NULL,
+            kraj VARCHAR(255) NULL,
+            opis TEXT NULL,
+            KEY nastop_datum (datum)
+        )`,
+        `CREATE TABLE nastop_plesalec (
+            nastop_id INT NOT NULL,
+            uporabnik_id INT NOT NULL,
+            PRIMARY KEY (nastop_id, uporabnik_id),
+            CONSTRAINT nastop_plesalec_nastop_fk FOREIGN KEY (nastop_id) REFERENCES nastop(id) ON DELETE CASCADE,
+            CONSTRAINT nastop_plesalec_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE nastop_kos (
+            nastop_id INT NOT NULL,
+            uporabnik_id INT NOT NULL,
+            kos_id INT NOT NULL,
+            PRIMARY KEY (nastop_id, uporabnik_id, kos_id),
+            KEY nastop_kos_kos (kos_id),
+            CONSTRAINT nastop_kos_plesalec_fk FOREIGN KEY (nastop_id, uporabnik_id)
+                REFERENCES nastop_plesalec(nastop_id, uporabnik_id) ON DELETE CASCADE,
+            CONSTRAINT nastop_kos_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE
+        )`
+    ],
+    dol: [
+        'DROP TABLE nastop_kos',
+        'DROP TABLE nastop_plesalec',
+        'DROP TABLE nastop'
+    ]
+};
@@ -0,0 +1,36 @@
+/**
+ * Popravila kosov. Zastavica kos.poskodovano se odslej izpelje iz odprtih popravil,
+ * zato obstoječe zastavice pretvorimo v prijavljena popravila.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE popravilo (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            kos_id INT NOT NULL,
+            prijavil_id INT NULL,
+            opis TEXT NOT NULL,
+            fotografija MEDIUMBLOB NULL,
+            fotografija_mime VARCHAR(100) NULL,
+            stanje ENUM('prijavljeno', 'v_popravilu', 'popravljeno') NOT NULL DEFAULT 'prijavljeno',
+            prijavljeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            zaceto_ob DATETIME NULL,
+            popravljeno_ob DATETIME NULL,
+            popravil_id INT NULL,
+            KEY popravilo_kos_stanje (kos_id, stanje),
+            CONSTRAINT popravilo_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            CONSTRAINT popravilo_prijavil_fk FOREIGN KEY (prijavil_id) REFERENCES uporabnik(id) ON DELETE SET NULL,
+            CONSTRAINT popravilo_popravil_fk FOREIGN KEY (popravil_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`,
+        `INSERT INTO popravilo (kos_id, opis, stanje)
+            SELECT id, 'Kos je bil označen kot poškodovan pred uvedbo popravil.', 'prijavljeno'
+            FROM kos WHERE poskodovano = TRUE`,
+        'ALTER TABLE kos DROP COLUMN poskodovano'
+    ],
+    dol: [
+        'ALTER TABLE kos ADD poskodovano BOOLEAN NOT NULL DEFAULT FALSE',
+        `UPDATE kos k SET k.poskodovano = EXISTS (
+            SELECT 1 FROM popravilo p WHERE p.kos_id = k.id AND p.stanje <> 'popravljeno'
+        )`,
+        'DROP TABLE popravilo'
+    ]
+};
@@ -0,0 +1,17 @@
+/**
+ * Datum dodajanja in zadnje spremembe kosa (razvrščanje po datumu, podrobnosti kosa).
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE kos
+            ADD ustvarjeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ADD posodobljeno_ob DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+            ADD KEY kos_ustvarjeno_ob (ustvarjeno_ob)`
+    ],
+    dol: [
+        `ALTER TABLE kos
+            DROP KEY kos_ustvarjeno_ob,
+            DROP COLUMN ustvarjeno_ob,
+            DROP COLUMN posodobljeno_ob`
+    ]
+};
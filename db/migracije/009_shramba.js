@@ -0,0 +1,26 @@
+/**
+ * Vsebine kosov v shrambi (lokalni disk ali S3) namesto v BLOB-u.
+ * Starejši kosi imajo vsebino v BLOB-u, dokler jih ne prenesemo z npm run prenos-vsebin.
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE kos
+            MODIFY vsebina LONGBLOB NULL,
+            ADD kljuc_shrambe VARCHAR(255) NULL,
+            ADD velikost BIGINT NULL,
+            ADD mime VARCHAR(100) NULL`
+    ],
+    dol: [
+        async (conn) => {
+            const [rows] = await conn.query('SELECT COUNT(*) AS st FROM kos WHERE vsebina IS NULL');
+            if (rows[0].st > 0) {
+                throw new Error(`Vsebina ${rows[0].st} kosov je samo v shrambi, zato migracije ni mogoče povrniti brez izgube podatkov!`);
+            }
+        },
+        `ALTER TABLE kos
+            DROP COLUMN kljuc_shrambe,
+            DROP COLUMN velikost,
+            DROP COLUMN mime,
+            MODIFY vsebina LONGBLOB NOT NULL`
+    ]
+};
@@ -0,0 +1,37 @@
+/**
+ * Priponke kosov z vrstnim redom in izbiro glavne slike ter podatek, kdo je kos naložil.
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE kos
+            ADD nalozil_id INT NULL,
+            ADD CONSTRAINT kos_nalozil_fk FOREIGN KEY (nalozil_id) REFERENCES uporabnik(id) ON DELETE SET NULL`,
+        `CREATE TABLE priponka (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            kos_id INT NOT NULL,
+            napis VARCHAR(255) NULL,
+            vrstni_red INT NOT NULL,
+            tip ENUM('slika', 'audio', 'video', 'pdf') NOT NULL,
+            mime VARCHAR(100) NOT NULL,
+            kljuc_shrambe VARCHAR(255) NOT NULL,
+            velikost BIGINT NOT NULL,
+            nalozeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            nalozil_id INT NULL,
+            KEY priponka_kos_vrstni_red (kos_id, vrstni_red),
+            CONSTRAINT priponka_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            CONSTRAINT priponka_nalozil_fk FOREIGN KEY (nalozil_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`,
+        `ALTER TABLE kos
+            ADD glavna_priponka_id INT NULL,
+            ADD CONSTRAINT kos_glavna_priponka_fk FOREIGN KEY (glavna_priponka_id) REFERENCES priponka(id) ON DELETE SET NULL`
+    ],
+    dol: [
+        `ALTER TABLE kos
+            DROP FOREIGN KEY kos_glavna_priponka_fk,
+            DROP FOREIGN KEY kos_nalozil_fk`,
+        `ALTER TABLE kos
+            DROP COLUMN glavna_priponka_id,
+            DROP COLUMN nalozil_id`,
+        'DROP TABLE priponka'
+    ]
+};
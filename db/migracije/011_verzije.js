@@ -0,0 +1,25 @@
+/**
+ * Verzije vsebine kosa. Obnovljena verzija si ključ shrambe deli s prvotno.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE kos_verzija (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            kos_id INT NOT NULL,
+            stevilka INT NOT NULL,
+            tip ENUM('slika', 'audio', 'video', 'pdf') NOT NULL,
+            mime VARCHAR(100) NULL,
+            kljuc_shrambe VARCHAR(255) NOT NULL,
+            velikost BIGINT NULL,
+            nalozil_id INT NULL,
+            nalozeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            obnovljena_iz_id INT NULL, -- verzija, iz katere je bila ta verzija obnovljena
+            UNIQUE KEY kos_verzija_stevilka (kos_id, stevilka),
+            CONSTRAINT kos_verzija_kos_fk FOREIGN KEY (kos_id) REFERENCES kos(id) ON DELETE CASCADE,
+            CONSTRAINT kos_verzija_nalozil_fk FOREIGN KEY (nalozil_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`
+    ],
+    dol: [
+        'DROP TABLE kos_verzija'
+    ]
+};
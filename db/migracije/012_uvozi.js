@@ -0,0 +1,40 @@
+/**
+ * Množični uvozi kosov iz arhiva.
+ * Uvoz prepozna podvojene kose in labele po imenu, zato imeni postaneta edinstveni;
+ * obstoječim podvojenim imenom dodamo ID, da jih ločimo.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE uvoz (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ime_datoteke VARCHAR(255) NOT NULL,
+            stanje ENUM('cakajoce', 'v_teku', 'koncano', 'napaka') NOT NULL DEFAULT 'cakajoce',
+            zacel_id INT NULL,
+            kljuc_shrambe VARCHAR(255) NULL,
+            ustvarjeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            zaceto_ob DATETIME NULL,
+            koncano_ob DATETIME NULL,
+            skupaj INT NULL,
+            ustvarjenih INT NOT NULL DEFAULT 0,
+            preskocenih INT NOT NULL DEFAULT 0,
+            zavrnjenih INT NOT NULL DEFAULT 0,
+            napaka TEXT NULL,
+            porocilo JSON NULL,
+            KEY uvoz_stanje (stanje),
+            CONSTRAINT uvoz_zacel_fk FOREIGN KEY (zacel_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`,
+        `UPDATE kos k
+            JOIN (SELECT ime, MIN(id) AS prvi FROM kos GROUP BY ime HAVING COUNT(*) > 1) d ON k.ime = d.ime AND k.id <> d.prvi
+            SET k.ime = CONCAT(k.ime, ' (', k.id, ')')`,
+        `UPDATE labela l
+            JOIN (SELECT naziv, MIN(id) AS prva FROM labela GROUP BY naziv HAVING COUNT(*) > 1) d ON l.naziv = d.naziv AND l.id <> d.prva
+            SET l.naziv = CONCAT(l.naziv, ' (', l.id, ')')`,
+        'ALTER TABLE kos ADD UNIQUE KEY kos_ime (ime)',
+        'ALTER TABLE labela ADD UNIQUE KEY labela_naziv (naziv)'
+    ],
+    dol: [
+        'ALTER TABLE labela DROP KEY labela_naziv',
+        'ALTER TABLE kos DROP KEY kos_ime',
+        'DROP TABLE uvoz'
+    ]
+};
@@ -0,0 +1,24 @@
+/**
+ * Revizijska sled sprememb kosov, label in komentarjev.
+ * Entiteta ni tuji ključ, ker mora zapis ostati tudi po brisanju kosa, labele ali komentarja.
+ */
+module.exports = {
+    gor: [
+        `CREATE TABLE revizija (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uporabnik_id INT NULL,
+            dejanje VARCHAR(50) NOT NULL,
+            entiteta VARCHAR(50) NOT NULL,
+            entiteta_id INT NOT NULL,
+            prej JSON NULL,
+            potem JSON NULL,
+            ustvarjeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY revizija_entiteta (entiteta, entiteta_id),
+            KEY revizija_ustvarjeno_ob (ustvarjeno_ob),
+            CONSTRAINT revizija_uporabnik_fk FOREIGN KEY (uporabnik_id) REFERENCES uporabnik(id) ON DELETE SET NULL
+        )`
+    ],
+    dol: [
+        'DROP TABLE revizija'
+    ]
+};
@@ -0,0 +1,33 @@
+/**
+ * Smeti: izbrisani kosi in labele ostanejo v bazi, dokler jih ne izbrišemo trajno.
+ * Komentarji imajo izbrisano_ob že od 002_urejanje_komentarjev.
+ * Povračilo vrne predmete iz smeti nazaj med obstoječe, namesto da bi jih trajno izbrisalo.
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE kos
+            ADD izbrisano_ob DATETIME NULL,
+            ADD izbrisano_od INT NULL,
+            ADD KEY kos_izbrisano_ob (izbrisano_ob),
+            ADD CONSTRAINT kos_izbrisano_od_fk FOREIGN KEY (izbrisano_od) REFERENCES uporabnik(id) ON DELETE SET NULL`,
+        `ALTER TABLE labela
+            ADD izbrisano_ob DATETIME NULL,
+            ADD izbrisano_od INT NULL,
+            ADD KEY labela_izbrisano_ob (izbrisano_ob),
+            ADD CONSTRAINT labela_izbrisano_od_fk FOREIGN KEY (izbrisano_od) REFERENCES uporabnik(id) ON DELETE SET NULL`,
+        'ALTER TABLE komentar ADD KEY komentar_izbrisano_ob (izbrisano_ob)'
+    ],
+    dol: [
+        'ALTER TABLE komentar DROP KEY komentar_izbrisano_ob',
+        `ALTER TABLE labela
+            DROP FOREIGN KEY labela_izbrisano_od_fk,
+            DROP KEY labela_izbrisano_ob,
+            DROP COLUMN izbrisano_ob,
+            DROP COLUMN izbrisano_od`,
+        `ALTER TABLE kos
+            DROP FOREIGN KEY kos_izbrisano_od_fk,
+            DROP KEY kos_izbrisano_ob,
+            DROP COLUMN izbrisano_ob,
+            DROP COLUMN izbrisano_od`
+    ]
+};
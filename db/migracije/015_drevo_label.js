@@ -0,0 +1,14 @@
+/**
+ * Drevo label: labela ima lahko nadrejeno labelo istega tipa (npr. Štajerska -> Haloze).
+ */
+module.exports = {
+    gor: [
+        `ALTER TABLE labela
+            ADD nadrejena_id INT NULL AFTER tip,
+            ADD CONSTRAINT labela_nadrejena_fk FOREIGN KEY (nadrejena_id) REFERENCES labela(id) ON DELETE SET NULL`
+    ],
+    dol: [
+        'ALTER TABLE labela DROP FOREIGN KEY labela_nadrejena_fk',
+        'ALTER TABLE labela DROP COLUMN nadrejena_id'
+    ]
+};
@@ -0,0 +1,59 @@
+const bcrypt = require('bcrypt');
+const pool = require('../utils/db.js');
+const { GARDEROBER } = require('../utils/dovoljenja.js');
+
+// osnovna taksonomija label po tipih
+const LABELE = {
+    pokrajina: [
+        'Gorenjska', 'Dolenjska', 'Notranjska', 'Bela krajina', 'Primorska',
+        'Štajerska', 'Koroška', 'Prekmurje', 'Porabje', 'Rezija'
+    ],
+    tip_oblacila: [
+        'Srajca', 'Krilo', 'Predpasnik', 'Hlače', 'Telovnik', 'Jopa', 'Suknjič',
+        'Ruta', 'Avba', 'Peča', 'Klobuk', 'Pas', 'Nogavice', 'Čevlji', 'Škornji'
+    ],
+    spol: ['Moški', 'Ženski', 'Otroški'],
+    velikost: ['XS', 'S', 'M', 'L', 'XL', 'XXL']
+};
+
+/**
+ * posej(izpis)
+ * - doda manjkajoče labele osnovne taksonomije (obstoječih ne spreminja)
+ * - če skupina še nima garderoberja, ustvari prvega iz GARDEROBER_UPORABNISKO_IME in GARDEROBER_GESLO
+ * - seme je varno zagnati večkrat
+ */
+async function posej(izpis = console.log) {
+    let dodanih = 0;
+    for (const [tip, nazivi] of Object.entries(LABELE)) {
+        for (const naziv of nazivi) {
+            const [result] = await pool.execute('INSERT IGNORE INTO labela (naziv, tip) VALUES (?, ?)', [naziv, tip]);
+            dodanih += result.affectedRows;
+        }
+    }
+    izpis(`Dodanih label: ${dodanih}`);
+
+    const [garderoberji] = await pool.execute('SELECT COUNT(*) AS st FROM uporabnik WHERE tip_uporabnika = ?', [GARDEROBER]);
+    if (garderoberji[0].st > 0) {
+        izpis('Garderober že obstaja, prvega računa ne ustvarimo.');
+        return;
+    }
+
+    const uporabnisko_ime = process.env.GARDEROBER_UPORABNISKO_IME;
+    const geslo = process.env.GARDEROBER_GESLO;
+    if (!uporabnisko_ime || !geslo) {
+        izpis('Za prvi račun garderoberja nastavite GARDEROBER_UPORABNISKO_IME in GARDEROBER_GESLO.');
+        return;
+    }
+
+    const hashed_geslo = await bcrypt.hash(geslo, 10);
+    await pool.execute(
+        'INSERT INTO uporabnik (uporabnisko_ime, geslo, tip_uporabnika) VALUES (?, ?, ?)',
+        [uporabnisko_ime, hashed_geslo, GARDEROBER]
+    );
+    izpis(`Ustvarjen je račun garderoberja '${uporabnisko_ime}'.`);
+}
+
+module.exports = {
+    LABELE,
+    posej
+};
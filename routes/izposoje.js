@@ -0,0 +1,405 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js'); // uvozimo pomožne funckije
+const popravila = require('../utils/popravila.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const IZPOSOJA_SQL = `
+    SELECT
+        i.id,
+        i.kos_id,
+        k.ime AS kos_ime,
+        i.uporabnik_id,
+        u.uporabnisko_ime,
+        i.izposojeno_ob,
+        i.rok_vrnitve,
+        i.opombe,
+        i.vrnjeno_ob,
+        i.opombe_ob_vracilu,
+        i.vrnjeno_ob IS NULL AND i.rok_vrnitve < CURDATE() AS zamuja
+    FROM izposoja i
+    JOIN kos k ON i.kos_id = k.id
+    LEFT JOIN uporabnik u ON i.uporabnik_id = u.id
+`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Izposoje:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         kos_id:
+ *           type: integer
+ *         kos_ime:
+ *           type: string
+ *         uporabnik_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID uporabnika, ki ima kos izposojen
+ *         uporabnisko_ime:
+ *           type: string
+ *           nullable: true
+ *         izposojeno_ob:
+ *           type: string
+ *           format: date-time
+ *         rok_vrnitve:
+ *           type: string
+ *           format: date
+ *         opombe:
+ *           type: string
+ *           nullable: true
+ *           description: Opombe ob izposoji
+ *         vrnjeno_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Čas vračila (null, če kos še ni vrnjen)
+ *         opombe_ob_vracilu:
+ *           type: string
+ *           nullable: true
+ *           description: Opombe o stanju kosa ob vračilu
+ *         zamuja:
+ *           type: boolean
+ *           description: Zastavica, če je rok vrnitve potekel in kos še ni vrnjen
+ */
+
+/**
+ * @swagger
+ * /api/izposoje:
+ *   get:
+ *     summary: Pridobivanje izposoj
+ *     description: Z stanje=aktivne vrne seznam, kdo ima trenutno kateri kos, z stanje=zamujene pa izposoje s preteklim rokom vrnitve.
+ *     tags: [Izposoje]
+ *     parameters:
+ *       - in: query
+ *         name: stanje
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - aktivne
+ *             - vrnjene
+ *             - zamujene
+ *         required: false
+ *       - in: query
+ *         name: uporabnik_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: kos_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen seznam izposoj
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Izposoje'
+ *       400:
+ *         description: Neveljaven parameter stanje, uporabnik_id ali kos_id
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('izposoje:branje'), async (req, res, next) => {
+    const {stanje, uporabnik_id, kos_id} = req.query;
+
+    const pogoji = [];
+    const params = [];
+
+    if (stanje !== undefined) {
+        const stanja = {
+            aktivne: 'i.vrnjeno_ob IS NULL',
+            vrnjene: 'i.vrnjeno_ob IS NOT NULL',
+            zamujene: 'i.vrnjeno_ob IS NULL AND i.rok_vrnitve < CURDATE()'
+        };
+        if (!stanja[stanje]) {
+            return res.status(400).json({ message: `Neveljaven parameter stanje! Dovoljene vrednosti: ${Object.keys(stanja).join(', ')}` });
+        }
+        pogoji.push(stanja[stanje]);
+    }
+
+    if (uporabnik_id !== undefined) {
+        if (!/^\d+$/.test(uporabnik_id)) {
+            return res.status(400).json({ message: 'Neustrezen format za ID uporabnika!' });
+        }
+        pogoji.push('i.uporabnik_id = ?');
+        params.push(uporabnik_id);
+    }
+
+    if (kos_id !== undefined) {
+        if (!/^\d+$/.test(kos_id)) {
+            return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+        }
+        pogoji.push('i.kos_id = ?');
+        params.push(kos_id);
+    }
+
+    try {
+        let sql = IZPOSOJA_SQL;
+        if (pogoji.length > 0) {
+            sql += ` WHERE ${pogoji.join(' AND ')}`;
+        }
+        sql += ' ORDER BY i.izposojeno_ob DESC';
+
+        const [rows] = await pool.execute(sql, params);
+        res.status(200).json(rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/izposoje/{id}:
+ *   get:
+ *     summary: Pridobivanje izposoje z {id}
+ *     tags: [Izposoje]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID izposoje
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjena izposoja
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Izposoje'
+ *       400:
+ *         description: Neustrezen format za {id} izposoje
+ *       404:
+ *         description: Izposoja z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', authMiddleware, dovoli('izposoje:branje'), async (req, res, next) => {
+    const id = req.params.id;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID izposoje!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(`${IZPOSOJA_SQL} WHERE i.id = ?`, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Izposoja z ID-jem '${id}' ne obstaja!` });
+        }
+
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/izposoje:
+ *   post:
+ *     summary: Izposoja kosa uporabniku
+ *     tags: [Izposoje]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kos_id
+ *               - uporabnik_id
+ *               - rok_vrnitve
+ *             properties:
+ *               kos_id:
+ *                 type: integer
+ *               uporabnik_id:
+ *                 type: integer
+ *               rok_vrnitve:
+ *                 type: string
+ *                 format: date
+ *                 example: '2025-06-30'
+ *               opombe:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Kos uspešno izposojen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjkajo podatki za izposojo ali rok vrnitve ni veljaven
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos ali uporabnik ne obstaja
+ *       409:
+ *         description: Kos je že izposojen
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('izposoje:upravljanje'), async (req, res, next) => {
+    const {kos_id, uporabnik_id, rok_vrnitve, opombe} = req.body;
+
+    if (!kos_id || !uporabnik_id || !rok_vrnitve) {
+        return res.status(400).json({ message: 'Manjkajo podatki: kos_id, uporabnik_id ali rok_vrnitve!' });
+    }
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(uporabnik_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+    if (!utils.veljavenDatum(rok_vrnitve)) {
+        return res.status(400).json({ message: 'Rok vrnitve mora biti datum v obliki YYYY-MM-DD!' });
+    }
+    if (rok_vrnitve < utils.danasnjiDatum()) {
+        return res.status(400).json({ message: 'Rok vrnitve ne sme biti v preteklosti!' });
+    }
+
+    let conn;
+    try {
+        const [uporabniki] = await pool.execute('SELECT id FROM uporabnik WHERE id = ?', [uporabnik_id]);
+        if (uporabniki.length === 0) {
+            return res.status(404).json({ message: `Uporabnik z ID-jem '${uporabnik_id}' ne obstaja!` });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // zaklenemo kos, da ga dve hkratni zahtevi ne moreta izposoditi dvakrat
+        const [kosi] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+        if (kosi.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const [aktivne] = await conn.execute('SELECT id FROM izposoja WHERE kos_id = ? AND vrnjeno_ob IS NULL', [kos_id]);
+        if (aktivne.length > 0) {
+            await conn.rollback();
+            return res.status(409).json({ message: `Kos z ID-jem '${kos_id}' je že izposojen!` });
+        }
+
+        const sql = `
+            INSERT INTO izposoja (kos_id, uporabnik_id, izposodil_id, rok_vrnitve, opombe)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        const [result] = await conn.execute(sql, [kos_id, uporabnik_id, req.user.id, rok_vrnitve, opombe ?? null]);
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, `/api/izposoje/${result.insertId}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Kos uspešno izposojen.',
+            url: urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/izposoje/{id}/vracilo:
+ *   post:
+ *     summary: Vračilo izposojenega kosa
+ *     description: Zabeleži vračilo kosa in opombe o njegovem stanju. Če je poskodovano=true, se za kos odpre popravilo.
+ *     tags: [Izposoje]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID izposoje
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               opombe:
+ *                 type: string
+ *                 description: Opombe o stanju kosa ob vračilu
+ *               poskodovano:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       204:
+ *         description: Vračilo uspešno zabeleženo
+ *       400:
+ *         description: Neustrezen format za {id} izposoje
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Izposoja z vpisanim {id} ne obstaja
+ *       409:
+ *         description: Kos je že vrnjen
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:id/vracilo', authMiddleware, dovoli('izposoje:upravljanje'), async (req, res, next) => {
+    const id = req.params.id;
+    const {opombe, poskodovano} = req.body;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID izposoje!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.execute('SELECT kos_id, vrnjeno_ob FROM izposoja WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Izposoja z ID-jem '${id}' ne obstaja!` });
+        }
+        if (rows[0].vrnjeno_ob) {
+            await conn.rollback();
+            return res.status(409).json({ message: `Kos iz izposoje z ID-jem '${id}' je že vrnjen!` });
+        }
+
+        const sql = `
+            UPDATE izposoja
+            SET vrnjeno_ob = NOW(), prejel_id = ?, opombe_ob_vracilu = ?
+            WHERE id = ?
+        `;
+        await conn.execute(sql, [req.user.id, opombe ?? null, id]);
+
+        if (poskodovano) {
+            await popravila.prijaviPoskodbo(conn, {
+                kos_id: rows[0].kos_id,
+                prijavil_id: req.user.id,
+                opis: opombe || `Poškodovano ob vračilu izposoje z ID-jem '${id}'.`
+            });
+        }
+
+        await conn.commit();
+        res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const popravila = require('../utils/popravila.js');
+const filtri = require('../utils/filtri.js');
+const izvoz = require('../utils/izvoz.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+// podatki kosa za inventurni seznam
+const IZVOZ_KOSOV_SQL = `
+    SELECT
+        k.id,
+        k.ime,
+        k.tip,
+        k.kljuc_shrambe,
+        k.glavna_priponka_id,
+        ${popravila.poskodovanoSql('k')} AS poskodovano,
+        (SELECT p.stanje FROM popravilo p
+         WHERE p.kos_id = k.id AND p.stanje <> 'popravljeno'
+         ORDER BY p.id DESC LIMIT 1) AS stanje_popravila,
+        NOT ${filtri.IZPOSOJEN_SQL} AS na_voljo,
+        (SELECT COUNT(*) FROM komentar ko WHERE ko.kos_id = k.id AND ko.izbrisano_ob IS NULL) AS st_komentarjev,
+        ${filtri.LABELE_KOSA_SQL} AS labele,
+        k.ustvarjeno_ob
+    FROM kos k
+`;
+
+/**
+ * @swagger
+ * /api/izvoz/kosi:
+ *   get:
+ *     summary: Izvoz inventurnega seznama kosov v CSV, XLSX ali PDF
+ *     description: |
+ *       Vrne vse kose (brez ostranjevanja), ki ustrezajo istim filtrom kot GET /api/kosi.
+ *       Za vsak kos so labele razvrščene po tipih (pokrajina, tip oblačila, spol, velikost, drugo),
+ *       dodani so stanje poškodovanosti, razpoložljivost in število komentarjev.
+ *       PDF je natisljiv katalog s sličicami kosov.
+ *     tags: [Izvoz]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *         required: false
+ *         description: Format izvoza
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Izraz nad ID-ji label, enako kot pri GET /api/kosi (npr. "3|7,12,!5").
+ *       - in: query
+ *         name: labels_po_tipih
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *       - in: query
+ *         name: labels_s_podrejenimi
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *       - in: query
+ *         name: na_voljo
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *       - in: query
+ *         name: tip
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Tip kosa ali več tipov, ločenih z vejico.
+ *       - in: query
+ *         name: poskodovano
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *       - in: query
+ *         name: ime
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: tip_labele
+ *         schema:
+ *           $ref: '#/components/schemas/Labele/properties/tip'
+ *         required: false
+ *       - in: query
+ *         name: uredi
+ *         schema:
+ *           type: string
+ *           enum: [ime, -ime, tip, -tip, datum, -datum]
+ *           default: ime
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Datoteka z izvozom (inventar-YYYY-MM-DD.csv|xlsx|pdf)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Neveljaven format ali parameter za filtriranje oziroma razvrščanje
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/kosi', authMiddleware, dovoli('kosi:izvoz'), async (req, res, next) => {
+    try {
+        const format = req.query.format ?? 'csv';
+        if (!izvoz.FORMATI_IZVOZA[format]) {
+            return res.status(400).json({
+                message: `Neveljaven parameter format! Dovoljene vrednosti: ${Object.keys(izvoz.FORMATI_IZVOZA).join(', ')}`
+            });
+        }
+        const filter = filtri.filterKosov(req.query);
+        if (filter.napaka) {
+            return res.status(400).json({ message: filter.napaka });
+        }
+        const razvrstitev = filtri.razvrstitevKosov(req.query.uredi);
+        if (razvrstitev.napaka) {
+            return res.status(400).json({ message: razvrstitev.napaka });
+        }
+
+        const where = filter.pogoji.length > 0 ? `WHERE ${filter.pogoji.join(' AND ')}` : '';
+        const [rows] = await pool.execute(`${IZVOZ_KOSOV_SQL} ${where} ${razvrstitev.orderBy}`, filter.params);
+
+        const datum = utils.danasnjiDatum();
+        const {mime, koncnica} = izvoz.FORMATI_IZVOZA[format];
+        res.status(200);
+        res.attachment(`inventar-${datum}.${koncnica}`);
+        res.type(mime);
+        await izvoz.izvozi(format, rows, res, `Inventar garderobe (${datum})`);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,43 @@ const router = express.Router({ mergeParams: true });
 // IMPORTANT: mergeParams allows access to kosId
 const pool = require('../utils/db.js'); // uvozimo Connection Pool
 const utils = require('../utils/utils.js');
+const paginacija = require('../utils/paginacija.js');
+const revizija = require('../utils/revizija.js');
 const authMiddleware = require('../utils/auth');
+const { dovoli, imaDovoljenje } = require('../utils/dovoljenja');
+
+// izbrisani komentarji ostanejo v niti kot "nagrobnik" brez besedila; komentarji kosov v smeteh niso vidni
+const KOMENTAR_SQL = `
+    SELECT 
+        k.id,
+        k.kos_id,
+        CASE WHEN k.izbrisano_ob IS NULL THEN k.besedilo ELSE 'komentar izbrisan' END AS besedilo,
+        k.uporabnik_id,
+        COALESCE(u.uporabnisko_ime, 'izbrisan uporabnik') AS uporabnisko_ime,
+        k.urejeno_ob,
+        ur.uporabnisko_ime AS urejeno_od,
+        k.izbrisano_ob IS NOT NULL AS izbrisan
+    FROM komentar k
+    JOIN kos ks ON k.kos_id = ks.id AND ks.izbrisano_ob IS NULL
+    LEFT JOIN uporabnik u ON k.uporabnik_id = u.id
+    LEFT JOIN uporabnik ur ON k.urejeno_od = ur.id
+`;
+
+async function pridobiKomentar(kos_id, id) {
+    const [rows] = await pool.execute(
+        `SELECT k.id, k.uporabnik_id, k.izbrisano_ob
+         FROM komentar k
+         JOIN kos ks ON k.kos_id = ks.id
+         WHERE k.id = ? AND k.kos_id = ? AND ks.izbrisano_ob IS NULL`,
+        [id, kos_id]
+    );
+    return rows[0];
+}
+
+// avtor sme upravljati svoj komentar, garderober pa katerikoli komentar
+function lahkoUpravlja(uporabnik, komentar) {
+    return komentar.uporabnik_id === uporabnik.id || imaDovoljenje(uporabnik, 'komentarji:moderiranje');
+}
 
 /**
  * @swagger
@@ -19,11 +55,25 @@ const authMiddleware = require('../utils/auth');
  *           description: ID kosa, ki mu pripada komentar
  *         uporabnik_id:
  *           type: integer
+ *           nullable: true
+ *           description: ID avtorja (null, če je avtor izbrisal svoj račun)
  *         uporabnisko_ime:
  *           type: string
  *         besedilo:
  *           type: string
- *           description: Besedilo komentarja
+ *           description: Besedilo komentarja ("komentar izbrisan" za izbrisane komentarje)
+ *         urejeno_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Čas zadnjega urejanja komentarja
+ *         urejeno_od:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je komentar nazadnje uredil
+ *         izbrisan:
+ *           type: boolean
+ *           description: Zastavica, če je bil komentar izbrisan
  */
 
 /**
@@ -39,9 +89,16 @@ const authMiddleware = require('../utils/auth');
  *         schema:
  *           type: integer
  *         description: ID kosa, ki mu pripadajo komentarji
+ *       - $ref: '#/components/parameters/Stran'
+ *       - $ref: '#/components/parameters/NaStran'
  *     responses:
  *       200:
- *         description: Uspešno vrnjen seznam vseh komentarjev kosa
+ *         description: Uspešno vrnjena stran komentarjev kosa (od najstarejšega naprej)
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
@@ -49,14 +106,14 @@ const authMiddleware = require('../utils/auth');
  *               items:
  *                 $ref: '#/components/schemas/Komentarji'
  *       400:
- *         description: Neustrezen format za {id} kosa
+ *         description: Neustrezen format za {id} kosa ali neveljaven parameter za ostranjevanje
  *       404:
  *         description: Kos z vpisanim {id} ne obstaja
  *       500:
  *         description: Notranja napaka strežnika
  */
 //pridobivanje vseh komentarjev kosa s posredovanim kos_id
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, dovoli('komentarji:branje'), async (req, res, next) => {
     try {
 		const {kos_id} = req.params;
         
@@ -64,23 +121,21 @@ router.get('/', authMiddleware, async (req, res, next) => {
             return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
         }
 
+        const stran = paginacija.preberiStran(req.query);
+        if (stran.napaka) {
+            return res.status(400).json({ message: stran.napaka });
+        }
+
         if (!(await utils.kosObstaja(kos_id))) {
             return res.status(404).json({message: `Kos z ID-jem '${kos_id}' ne obstaja!`});
         }
+
+        const [skupaj] = await pool.execute('SELECT COUNT(*) AS skupaj FROM komentar WHERE kos_id = ?', [kos_id]);
                 
-        const sql = `
-            SELECT 
-                k.id,
-                k.kos_id,
-                k.besedilo,
-                k.uporabnik_id,
-                u.uporabnisko_ime
-            FROM komentar k
-            JOIN uporabnik u ON k.uporabnik_id = u.id
-            WHERE k.kos_id = ?
-        `;
+        const sql = `${KOMENTAR_SQL} WHERE k.kos_id = ? ORDER BY k.id ${paginacija.limitSql(stran)}`;
 
         const [result] = await pool.execute(sql, [kos_id]);
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
         res.status(200).json(result);
 
     } catch (err) {
@@ -121,7 +176,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.get('/:id', authMiddleware, async (req, res, next) => {
+router.get('/:id', authMiddleware, dovoli('komentarji:branje'), async (req, res, next) => {
     const {kos_id, id} = req.params;
 
     if (!/^\d+$/.test(kos_id)) {
@@ -132,17 +187,7 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
     }
     
     try {      
-        const sql = `
-            SELECT 
-                k.id,
-                k.kos_id,
-                k.besedilo,
-                k.uporabnik_id,
-                u.uporabnisko_ime
-            FROM komentar k
-            JOIN uporabnik u ON k.uporabnik_id = u.id
-            WHERE k.id = ? and k.kos_id = ?
-        `;
+        const sql = `${KOMENTAR_SQL} WHERE k.id = ? and k.kos_id = ?`;
 
         const [result] = await pool.execute(sql, [id, kos_id]);
         if (result.length === 0) {
@@ -199,7 +244,7 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.post('/', authMiddleware, async (req, res, next) => {
+router.post('/', authMiddleware, dovoli('komentarji:dodajanje'), async (req, res, next) => {
     const {kos_id} = req.params;
     const {besedilo} = req.body;
 
@@ -213,6 +258,7 @@ router.post('/', authMiddleware, async (req, res, next) => {
     if (besedilo.trim() === '') { 
         return res.status(400).json({ message: 'Komentar ne sme biti prazen!' });
     }
+    let conn;
     try {
         if (!(await utils.kosObstaja(kos_id))) {
             return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
@@ -220,22 +266,29 @@ router.post('/', authMiddleware, async (req, res, next) => {
 
         const uporabnik_id = req.user.id; 
 
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
         const sql = 'INSERT INTO komentar (kos_id, uporabnik_id, besedilo) VALUES (?, ?, ?)';
-        const [result] = await pool.execute(sql, [kos_id, uporabnik_id, besedilo]);
-
-        if (result.affectedRows === 1) {
-            const id = result.insertId; //id novega komentarja
-            const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/komentarji/${id}`);
-            res.location(urlVira);
-            return res.status(201).json({
-                message: 'Komentar uspešno dodan.',
-                url:urlVira
-            });
-        } 
-        throw new Error('Dodajanje komentarja ni bilo uspešno!');
+        const [result] = await conn.execute(sql, [kos_id, uporabnik_id, besedilo]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Dodajanje komentarja ni bilo uspešno!');
+        }
+        const id = result.insertId; //id novega komentarja
+        await revizija.zabelezi(conn, { uporabnik_id, dejanje: 'ustvarjanje', entiteta: 'komentar', entiteta_id: id });
+        await conn.commit();
 
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/komentarji/${id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Komentar uspešno dodan.',
+            url:urlVira
+        });
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -244,6 +297,9 @@ router.post('/', authMiddleware, async (req, res, next) => {
  * /api/kosi/{kos_id}/komentarji/{id}:
  *   delete:
  *     summary: Brisanje obstoječega komentarja z {id}
+ *     description: |
+ *       Komentar ostane v niti kot nagrobnik z besedilom "komentar izbrisan".
+ *       Garderober ga lahko obnovi ali trajno izbriše prek /api/smeti.
  *     tags: [Kosi]
  *     parameters:
  *       - in: path
@@ -263,12 +319,16 @@ router.post('/', authMiddleware, async (req, res, next) => {
  *         description: Komentar je bil uspešno izbrisan
  *       400:
  *         description: Neustrezen format za ID komentarja ali kosa
+ *       403:
+ *         description: Uporabnik lahko briše samo svoje komentarje (garderober/-ka katerikoli komentar)
  *       404:
  *         description: Komentar z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       410:
+ *         description: Komentar je že izbrisan
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.delete('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/:id', authMiddleware, dovoli('komentarji:brisanje'), async (req, res, next) => {
     const {kos_id, id} = req.params;
     
     if (!/^\d+$/.test(kos_id)) {
@@ -278,17 +338,38 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
         return res.status(400).json({ message: 'Neustrezen format za ID komentarja!' });
     }
 
+    let conn;
     try {        
-        const [result] = await pool.execute('DELETE FROM komentar WHERE id = ? AND kos_id = ?', [id, kos_id]);
-        
-        if (result.affectedRows === 1) {
-            return res.status(204).send();
-        } 
+        const komentar = await pridobiKomentar(kos_id, id);
+        if (!komentar) {
+            return res.status(404).json({ message: `Komentar z ID-jem '${id}' ne obstaja na kosu z ID-jem '${kos_id}'!` });
+        }
+        if (!lahkoUpravlja(req.user, komentar)) {
+            return res.status(403).json({ message: 'Brišete lahko samo svoje komentarje!' });
+        }
+        if (komentar.izbrisano_ob) {
+            return res.status(410).json({ message: `Komentar z ID-jem '${id}' je že izbrisan!` });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
 
-        return res.status(404).json({ message: `Komentar z ID-jem '${id}' ne obstaja na kosu z ID-jem '${kos_id}'!` });
+        // komentar ne izgine iz niti, ampak postane nagrobnik
+        const prej = await revizija.posnetek(conn, 'komentar', id);
+        const sql = 'UPDATE komentar SET izbrisano_ob = NOW(), izbrisano_od = ? WHERE id = ? AND kos_id = ?';
+        const [result] = await conn.execute(sql, [req.user.id, id, kos_id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Brisanje komentarja ni bilo uspešno!');
+        }
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'brisanje', entiteta: 'komentar', entiteta_id: id, prej });
+        await conn.commit();
 
+        return res.status(204).send();
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -327,12 +408,16 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
  *         description: Uspešno posodobljen komentar
  *       400:
  *         description: Manjkajo podatki za shranjevanje komentarja ali neustrezen format za ID komentarja ali kosa
+ *       403:
+ *         description: Uporabnik lahko ureja samo svoje komentarje (garderober/-ka katerikoli komentar)
  *       404:
  *         description: Komentar z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       410:
+ *         description: Komentar je izbrisan in ga ni mogoče urejati
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.put('/:id', authMiddleware, async (req, res, next) => {
+router.put('/:id', authMiddleware, dovoli('komentarji:urejanje'), async (req, res, next) => {
     const {kos_id, id} = req.params;
     const {besedilo} = req.body; //samo 'besedilo' se lahko posodobi
 
@@ -346,23 +431,45 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
     if(!besedilo){
         return res.status(400).json({message: 'Manjkajo podatki za posodabljanje komentarja!'});
     }
+    if (besedilo.trim() === '') { 
+        return res.status(400).json({ message: 'Komentar ne sme biti prazen!' });
+    }
 
+    let conn;
     try{
         if (!(await utils.kosObstaja(kos_id))) {
             return res.status(404).json({message: `Kos z ID-jem '${kos_id}' ne obstaja!`});
         }
 
-        const sql = 'UPDATE komentar SET besedilo=? WHERE id=? AND kos_id=?';
-        const [result] = await pool.execute(sql, [besedilo, id, kos_id]);
-        
-        if (result.affectedRows === 1) {
-            return res.status(204).send(); //204 je No Content - tut če pripnemo message, se ne prikaže
-        } 
+        const komentar = await pridobiKomentar(kos_id, id);
+        if (!komentar) {
+            return res.status(404).json({ message: `Komentar z ID-jem '${id}' ne obstaja na kosu z ID-jem '${kos_id}'!` });
+        }
+        if (!lahkoUpravlja(req.user, komentar)) {
+            return res.status(403).json({ message: 'Urejate lahko samo svoje komentarje!' });
+        }
+        if (komentar.izbrisano_ob) {
+            return res.status(410).json({ message: `Komentar z ID-jem '${id}' je izbrisan in ga ni mogoče urejati!` });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
 
-        return res.status(404).json({ message: `Komentar z ID-jem '${id}' ne obstaja na kosu z ID-jem '${kos_id}'!` });
+        const prej = await revizija.posnetek(conn, 'komentar', id);
+        const sql = 'UPDATE komentar SET besedilo=?, urejeno_ob=NOW(), urejeno_od=? WHERE id=? AND kos_id=?';
+        const [result] = await conn.execute(sql, [besedilo, req.user.id, id, kos_id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Posodabljanje komentarja ni bilo uspešno!');
+        }
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'urejanje', entiteta: 'komentar', entiteta_id: id, prej });
+        await conn.commit();
 
+        return res.status(204).send(); //204 je No Content - tut če pripnemo message, se ne prikaže
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const utils = require('../utils/utils.js');
+const varnostneKopije = require('../utils/varnostneKopije.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+/**
+ * @swagger
+ * /api/kopije:
+ *   get:
+ *     summary: Prenos celotne varnostne kopije (baza in datoteke) kot ZIP arhiv
+ *     description: |
+ *       Arhiv vsebuje vse kose z datotekami, priponke, verzije, labele, povezave kosov z labelami,
+ *       komentarje, popravila, izposoje, nastope, uporabnike in revizijsko sled ter manifest s kontrolnimi vsotami.
+ *       Zgoščena gesla uporabnikov so v kopiji samo z gesla=true.
+ *       Kopijo obnovimo v prazno instanco z ukazom "npm run varnostna-kopija -- obnovi <arhiv.zip>".
+ *     tags: [Kopije]
+ *     parameters:
+ *       - in: query
+ *         name: gesla
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Če je true, kopija vsebuje tudi zgoščena gesla uporabnikov.
+ *     responses:
+ *       200:
+ *         description: ZIP arhiv varnostne kopije (folklora-kopija-YYYY-MM-DD.zip)
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Neveljaven parameter gesla
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('kopije:upravljanje'), async (req, res, next) => {
+    const gesla = req.query.gesla ?? 'false';
+    if (gesla !== 'true' && gesla !== 'false') {
+        return res.status(400).json({ message: 'Neveljaven parameter gesla! Dovoljeni vrednosti: true, false' });
+    }
+
+    try {
+        res.status(200);
+        res.attachment(`folklora-kopija-${utils.danasnjiDatum()}.zip`);
+        await varnostneKopije.ustvariKopijo(res, { gesla: gesla === 'true' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
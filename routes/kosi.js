@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../utils/db.js'); // uvozimo Connection Pool
 const utils = require('../utils/utils.js');
-const multer = require('multer'); // nalaganje slik
-const upload = multer({storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 }}); // pomnilnik max 10MB
-const { fileTypeFromBuffer } = require('file-type');
+const popravila = require('../utils/popravila.js');
+const filtri = require('../utils/filtri.js');
+const paginacija = require('../utils/paginacija.js');
+const prenos = require('../utils/prenos.js');
+const predogledi = require('../utils/predogledi.js');
+const tipiDatotek = require('../utils/tipiDatotek.js');
+const kosi = require('../utils/kosi.js');
+const revizija = require('../utils/revizija.js');
 const authMiddleware = require('../utils/auth');
+const { dovoli, imaDovoljenje } = require('../utils/dovoljenja');
 
 /**
  * @swagger
@@ -25,10 +31,32 @@ const authMiddleware = require('../utils/auth');
  *             - audio
  *             - video
  *             - pdf
+ *         mime:
+ *           type: string
+ *           description: Dejanski format vsebine (npr. image/png)
+ *         glavna_priponka_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Priponka, izbrana kot glavna slika kosa (uporabi se za predoglede)
  *         poskodovano:
  *           type: boolean
- *           description: Zastavica, če je kos poškodovan (1 -> je poškodovan)
+ *           description: Zastavica, če je kos poškodovan (1 -> ima odprto popravilo)
  *           default: false
+ *         na_voljo:
+ *           type: boolean
+ *           description: Zastavica, če kos trenutno ni izposojen
+ *         ustvarjeno_ob:
+ *           type: string
+ *           format: date-time
+ *           description: Datum dodajanja kosa
+ *     UrlPredogledov:
+ *       type: object
+ *       description: Podpisani URL-ji predogledov za <img src>; veljajo do konca naslednje ure
+ *       properties:
+ *         thumb:
+ *           type: string
+ *         srednja:
+ *           type: string
  */
 /**
  * @swagger
@@ -42,18 +70,84 @@ const authMiddleware = require('../utils/auth');
  *         schema:
  *           type: string
  *         required: false
- *         description: Seznam ID-jev label, ločenih z vejico, npr. "1,3,5". Vrne kose, ki imajo vse izbrane label-e.
+ *         description: |
+ *           Izraz nad ID-ji label. Vejica loči pogoje, ki morajo veljati vsi (IN), navpičnica pomeni ALI, klicaj zanika pogoj.
+ *           Npr. "1,3,5" vrne kose z vsemi tremi labelami, "3|7,12,!5" pa kose z labelo 3 ali 7, z labelo 12 in brez labele 5.
+ *       - in: query
+ *         name: labels_po_tipih
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Če je true, se posamezne labele iz labels združijo po tipu labele - znotraj tipa velja ALI, med tipi IN (npr. "Prekmurje,Gorenjska,M" => pokrajina Prekmurje ALI Gorenjska IN velikost M).
+ *       - in: query
+ *         name: labels_s_podrejenimi
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Če je true, labela iz labels velja tudi za kose z njenimi podrejenimi labelami (npr. Štajerska vrne tudi kose z labelo Haloze).
+ *       - in: query
+ *         name: na_voljo
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: true vrne samo kose, ki trenutno niso izposojeni, false samo izposojene kose.
+ *       - in: query
+ *         name: tip
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Tip kosa ali več tipov, ločenih z vejico, npr. "slika,pdf".
+ *       - in: query
+ *         name: poskodovano
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: true vrne samo poškodovane kose, false samo nepoškodovane.
+ *       - in: query
+ *         name: ime
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Vrne kose, katerih ime vsebuje podani niz.
+ *       - in: query
+ *         name: tip_labele
+ *         schema:
+ *           $ref: '#/components/schemas/Labele/properties/tip'
+ *         required: false
+ *         description: Vrne kose, ki imajo vsaj eno labelo izbranega tipa.
+ *       - in: query
+ *         name: uredi
+ *         schema:
+ *           type: string
+ *           enum: [ime, -ime, tip, -tip, datum, -datum]
+ *           default: ime
+ *         required: false
+ *         description: Polje za razvrščanje, z '-' za padajoči vrstni red (datum = datum dodajanja).
+ *       - $ref: '#/components/parameters/Stran'
+ *       - $ref: '#/components/parameters/NaStran'
  *     responses:
  *       200:
- *         description: Uspešno vrnjen seznam vseh kosov
+ *         description: Uspešno vrnjena stran kosov
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Kosi'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Kosi'
+ *                   - type: object
+ *                     properties:
+ *                       url_predogledov:
+ *                         $ref: '#/components/schemas/UrlPredogledov'
  *       400:
- *         description: Neveljaven parameter labels TODO
+ *         description: Neveljaven parameter za filtriranje, razvrščanje ali ostranjevanje
  *         content:
  *           application/json:
  *             schema:
@@ -65,46 +159,139 @@ const authMiddleware = require('../utils/auth');
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.get('/', authMiddleware, async (req, res, next) => { // = '/kosi'
+router.get('/', authMiddleware, dovoli('kosi:branje'), async (req, res, next) => { // = '/kosi'
     try {
-        const labelsQuery = req.query.labels; // pričakujemo npr. "1,3,5"
-        let sql = 'SELECT id, ime, tip, poskodovano FROM kos';
-        let params = [];
-
-        if (labelsQuery) {
-            // razdelimo ID-je in jih preverimo
-            const labelIds = labelsQuery.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
-            if (labelIds.length === 0) {
-                return res.status(400).json({ message: 'Neveljaven parameter labels!' });
-            }
-
-            // INNER JOIN z kos_labela za filtriranje kosov, ki imajo vse izbrane label-e
-            // Uporabimo GROUP BY + HAVING COUNT za many-to-many relacijo
-            sql = `
-                SELECT k.id, k.ime, k.tip, k.poskodovano
-                FROM kos k
-                INNER JOIN kos_labela kl ON k.id = kl.kos_id
-                WHERE kl.labela_id IN (${labelIds.map(() => '?').join(',')})
-                GROUP BY k.id
-                HAVING COUNT(DISTINCT kl.labela_id) = ?
-            `;
-            params = [...labelIds, labelIds.length];
+        const filter = filtri.filterKosov(req.query);
+        if (filter.napaka) {
+            return res.status(400).json({ message: filter.napaka });
         }
+        const razvrstitev = filtri.razvrstitevKosov(req.query.uredi);
+        if (razvrstitev.napaka) {
+            return res.status(400).json({ message: razvrstitev.napaka });
+        }
+        const stran = paginacija.preberiStran(req.query);
+        if (stran.napaka) {
+            return res.status(400).json({ message: stran.napaka });
+        }
+
+        const where = filter.pogoji.length > 0 ? `WHERE ${filter.pogoji.join(' AND ')}` : '';
+
+        const [skupaj] = await pool.execute(`SELECT COUNT(*) AS skupaj FROM kos k ${where}`, filter.params);
+
+        const sql = `
+            SELECT k.id, k.ime, k.tip, k.mime, k.glavna_priponka_id, ${popravila.poskodovanoSql('k')} AS poskodovano,
+                NOT ${filtri.IZPOSOJEN_SQL} AS na_voljo,
+                k.ustvarjeno_ob
+            FROM kos k
+            ${where}
+            ${razvrstitev.orderBy}
+            ${paginacija.limitSql(stran)}
+        `;
 
         // Uporabimo pool.execute() za varno izvedbo poizvedbe
-        const [rows] = await pool.execute(sql, params);
-        res.status(200).json(rows);		// Pošljemo podatke uporabniku kot JSON
+        const [rows] = await pool.execute(sql, filter.params);
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
+        res.status(200).json(rows.map(kos => ({		// Pošljemo podatke uporabniku kot JSON
+            ...kos,
+            url_predogledov: predogledi.urlPredogledov(req, `/api/kosi/${kos.id}/vsebina`)
+        })));
     } catch (err) {
         next(err);
 	}
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KosPodrobnosti:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Kosi'
+ *         - type: object
+ *           properties:
+ *             velikost:
+ *               type: integer
+ *               nullable: true
+ *               description: Velikost vsebine v bajtih
+ *             posodobljeno_ob:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             nalozil:
+ *               type: object
+ *               nullable: true
+ *               description: Uporabnik, ki je kos dodal (null za starejše kose ali izbrisane uporabnike)
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 uporabnisko_ime:
+ *                   type: string
+ *             labele:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   naziv:
+ *                     type: string
+ *                   tip:
+ *                     type: string
+ *             st_komentarjev:
+ *               type: integer
+ *               description: Število neizbrisanih komentarjev
+ *             st_priponk:
+ *               type: integer
+ *             url_vsebine:
+ *               type: string
+ *             url_predogledov:
+ *               $ref: '#/components/schemas/UrlPredogledov'
+ */
+
+// podrobnosti kosa za JSON predstavitev
+const PODROBNOSTI_KOSA_SQL = `
+    SELECT
+        k.id,
+        k.ime,
+        k.tip,
+        k.mime,
+        k.velikost,
+        ${popravila.poskodovanoSql('k')} AS poskodovano,
+        NOT ${filtri.IZPOSOJEN_SQL} AS na_voljo,
+        k.glavna_priponka_id,
+        k.ustvarjeno_ob,
+        k.posodobljeno_ob,
+        k.nalozil_id,
+        u.uporabnisko_ime AS nalozil_uporabnisko_ime,
+        ${filtri.LABELE_KOSA_SQL} AS labele,
+        (SELECT COUNT(*) FROM komentar ko WHERE ko.kos_id = k.id AND ko.izbrisano_ob IS NULL) AS st_komentarjev,
+        (SELECT COUNT(*) FROM priponka p WHERE p.kos_id = k.id) AS st_priponk
+    FROM kos k
+    LEFT JOIN uporabnik u ON k.nalozil_id = u.id
+    WHERE k.id = ? AND k.izbrisano_ob IS NULL
+`;
+
+/**
+ * jsonPredstavitev
+ * - GET /api/kosi/:id vrne JSON samo, če ga odjemalec izrecno zahteva (Accept: application/json)
+ * - brskalniki v <img> in <video> pošljejo splošno glavo Accept (npr. image/webp ali poljuben tip) in dobijo vsebino kot doslej
+ */
+function jsonPredstavitev(req, res, next) {
+    res.vary('Accept');
+    if (req.accepts(['application/octet-stream', 'application/json']) === 'application/json') {
+        return next();
+    }
+    next('route');
+}
+
 /**
  * @swagger
  * /api/kosi/{id}:
  *   get:
- *     security: []
- *     summary: Pridobivanje atriubuta vsebina kosa z {id} - samo slika
+ *     summary: Podrobnosti kosa z {id} (z Accept application/json) ali njegova vsebina
+ *     description: |
+ *       Z glavo Accept application/json vrne podrobnosti kosa (potrebna je prijava).
+ *       Brez nje zaradi združljivosti vrne vsebino kosa, enako kot /api/kosi/{id}/vsebina.
  *     tags: [Kosi]
  *     parameters:
  *       - in: path
@@ -115,20 +302,140 @@ router.get('/', authMiddleware, async (req, res, next) => { // = '/kosi'
  *         description: ID kosa
  *     responses:
  *       200:
- *         description: Vsebina kosa
+ *         description: Podrobnosti kosa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KosPodrobnosti'
+ *       400:
+ *         description: Neustrezen format za {id} kosa
+ *       401:
+ *         description: Manjka žeton za avtentikacijo
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', jsonPredstavitev, authMiddleware, dovoli('kosi:branje'), async (req, res, next) => {
+    const id = req.params.id;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(PODROBNOSTI_KOSA_SQL, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${id}' ne obstaja!` });
+        }
+
+        const {nalozil_id, nalozil_uporabnisko_ime, ...kos} = rows[0];
+        res.status(200).json({
+            ...kos,
+            mime: tipiDatotek.mimeKosa(kos),
+            nalozil: nalozil_id ? { id: nalozil_id, uporabnisko_ime: nalozil_uporabnisko_ime } : null,
+            labele: kos.labele ?? [],
+            url_vsebine: utils.urlVira(req, `/api/kosi/${id}/vsebina`),
+            url_predogledov: predogledi.urlPredogledov(req, `/api/kosi/${id}/vsebina`)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{id}/vsebina:
+ *   get:
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     summary: Pridobivanje vsebine kosa z {id} (podpira glavo Range za previjanje audio in video posnetkov)
+ *     tags: [Kosi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: header
+ *         name: Range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
+ *         description: Zahtevani del vsebine v bajtih
+ *       - in: query
+ *         name: velikost
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [thumb, srednja]
+ *         description: Namesto izvirnika vrne JPEG predogled (za slike, pri videih značilno sličico, pri PDF-jih prvo stran). Če ima kos izbrano glavno priponko, se predogled naredi iz nje. Predogled zahteva podpisan URL (url_predogledov iz seznama ali podrobnosti kosa) ali žeton.
+ *       - in: query
+ *         name: poteka
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Čas poteka podpisanega URL-ja predogleda (Unix sekunde)
+ *       - in: query
+ *         name: podpis
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Podpis URL-ja predogleda
+ *     responses:
+ *       200:
+ *         description: Celotna vsebina kosa
+ *         headers:
+ *           Accept-Ranges:
+ *             schema:
+ *               type: string
+ *           Content-Length:
+ *             schema:
+ *               type: integer
  *         content:
  *           image/jpeg:
  *             schema:
  *               type: string
  *               format: binary
+ *           audio/mpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           video/mp4:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Del vsebine kosa, določen z glavo Range
+ *         headers:
+ *           Content-Range:
+ *             schema:
+ *               type: string
+ *               example: bytes 0-1048575/209715200
  *       400:
- *         description: Neustrezen format za {id} kosa
+ *         description: Neustrezen format za {id} kosa ali neveljaven parameter velikost
+ *       401:
+ *         description: Predogled brez podpisanega URL-ja zahteva žeton
+ *       403:
+ *         description: Podpis URL-ja ali žeton ni veljaven ali je potekel
  *       404:
- *         description: Kos z vpisanim {id} ne obstaja
+ *         description: Kos z vpisanim {id} ne obstaja ali predogled za kos ni na voljo
+ *       416:
+ *         description: Zahtevani razpon je izven vsebine kosa
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.get('/:id', async (req, res, next) => {
+// '/:id' ostaja zaradi združljivosti za odjemalce, ki ne zahtevajo JSON-a
+router.get(['/:id/vsebina', '/:id'], predogledi.dovoliPredogled, async (req, res, next) => {
     try {
 		const id = req.params.id;
 
@@ -136,34 +443,42 @@ router.get('/:id', async (req, res, next) => {
             return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
         }
 
-		if (!(await utils.kosObstaja(id))) {
+        const velikost = req.query.velikost;
+        if (velikost !== undefined && !predogledi.VELIKOSTI[velikost]) {
+            return res.status(400).json({
+                message: `Neveljaven parameter velikost! Dovoljene vrednosti: ${Object.keys(predogledi.VELIKOSTI).join(', ')}`
+            });
+        }
+
+        const [rows] = await pool.execute(
+            'SELECT tip, mime, kljuc_shrambe, velikost, glavna_priponka_id FROM kos WHERE id=? AND izbrisano_ob IS NULL',
+            [id]
+        );
+        if (rows.length === 0) {
             return res.status(404).json({
                 message: `Kos z ID-jem '${id}' ne obstaja!`
             });
         }
+        let file = rows[0];
+
+        // predogled kosa z izbrano glavno sliko naredimo iz te priponke
+        if (velikost && file.glavna_priponka_id) {
+            const [priponke] = await pool.execute(
+                'SELECT tip, mime, kljuc_shrambe, velikost FROM priponka WHERE id = ?',
+                [file.glavna_priponka_id]
+            );
+            file = priponke[0] ?? file;
+        }
 
-        const [rows] = await pool.execute('SELECT ime, tip, vsebina, poskodovano FROM kos WHERE id=?', [id]);
-        const file = rows[0];
-
-        // nastavimo pravi MIME glede na 'tip'
-        let contentType = 'application/octet-stream';
-        switch (file.tip) {
-            case 'slika':
-                contentType = 'image/jpeg';
-                break;
-            case 'audio':
-                contentType = 'audio/mpeg';
-                break;
-            case 'video':
-                contentType = 'video/mp4';
-                break;
-            case 'pdf':
-                contentType = 'application/pdf';
-                break;
+        // starejši kosi imajo vsebino še v BLOB-u (dokler jih ne prenesemo z bin/prenesi-vsebine)
+        if (!file.kljuc_shrambe) {
+            const [blobi] = await pool.execute('SELECT vsebina FROM kos WHERE id=?', [id]);
+            file.vsebina = blobi[0].vsebina;
         }
 
-        res.setHeader('Content-Type', contentType);
-        res.send(file.vsebina); // pošljemo raw BLOB 
+        // shranjen MIME; starejši kosi ga nimajo, zato ga izpeljemo iz 'tip'
+        file.mime = tipiDatotek.mimeKosa(file);
+        await prenos.posljiDatoteko(req, res, file, velikost);
     } catch (err) {
         next(err);
     }
@@ -186,10 +501,11 @@ router.get('/:id', async (req, res, next) => {
  *                 type: string
  *               tip:
  *                 $ref: '#/components/schemas/Kosi/properties/tip'
+ *                 description: Neobvezen; če manjka, se tip izpelje iz vsebine
  *               slika:
  *                 type: string
  *                 format: binary
- *                 description: Binarna vsebina kosa (slika, pdf, audio, video)
+ *                 description: Binarna vsebina kosa - slika (JPEG, PNG, WebP, HEIC), audio (MP3, WAV, OGG), video (MP4, WebM) ali PDF
  *     responses:
  *       201:
  *         description: Kos uspešno dodan
@@ -204,72 +520,44 @@ router.get('/:id', async (req, res, next) => {
  *                   type: string
  *       400:
  *         description: Manjkajo podatki za dodajanje novega kosa ali vsebina ne ustreza izbranemu tipu ali tip kosa ni pravilen
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       409: 
  *         description: Kos z istim imenom že obstaja  
+ *       413:
+ *         description: Datoteka je prevelika
  *       415:
  *         description: Nepodprt tip kosa
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.post('/', authMiddleware, upload.single('slika'), async (req, res, next) => {
+router.post('/', authMiddleware, dovoli('kosi:dodajanje'), prenos.naloziDatoteko('slika'), async (req, res, next) => {
     const {ime, tip} = req.body;
 
-    if(!ime || !tip || !req.file){
+    if(!ime || !req.file){
         return res.status(400).json({message: 'Manjkajo podatki za dodajanje novega kosa!'})
         //ce posljes kodo namesto message, lahko jezik nastavis na klientu
     }
 
-    const dovoljeniTipi = ['slika', 'audio', 'video', 'pdf'];
-    if (!dovoljeniTipi.includes(tip)) {
+    // tip ni obvezen - če ga ne pošljemo, ga izpeljemo iz vsebine
+    if (tip !== undefined && !tipiDatotek.TIPI_KOSOV.includes(tip)) {
         return res.status(400).json({
-            message: `Neveljaven tip kosa! Dovoljeni tipi: ${dovoljeniTipi.join(', ')}`
+            message: `Neveljaven tip kosa! Dovoljeni tipi: ${tipiDatotek.TIPI_KOSOV.join(', ')}`
         });
     }
 
-    const vsebina = req.file.buffer; //BLOB podatki
     try {
-        //ali že obstaja kos z istim imenom
-        const [rows] = await pool.execute('SELECT id FROM kos WHERE ime = ?', [ime]);
-        if (rows.length > 0) {
-            return res.status(409).json({ message: 'Kos z istim imenom že obstaja!' });
-        }
-
-        //preverim dejanski tip vnesenega kosa
-        const detectedType = await fileTypeFromBuffer(vsebina);
-        if (!detectedType) {
-            return res.status(415).json({message: 'Nepodprt tip kosa!'});
-        }
-        if (detectedType.mime === 'image/png') {
-            return res.status(415).json({
-                message: 'Aplikacija trenutno ne podpira formata PNG. Naloži JPEG (.jpg ali .jpeg).'
-            });
+        const kos = await kosi.ustvariKos({ ime, tip, datoteka: req.file, nalozil_id: req.user.id });
+        if (kos.napaka) {
+            return res.status(kos.napaka.status).json({ message: kos.napaka.message });
         }
 
-        // Mapiranje MIME -> moj tip
-        const mimeMap = {
-            'image/jpeg': 'slika',
-            'application/pdf': 'pdf',
-            'audio/mpeg': 'audio',
-            'video/mp4': 'video'
-        }
-        const realTip = mimeMap[detectedType.mime];
-        if (tip !== realTip) {
-            return res.status(400).json({message: `Vsebina kosa ne ustreza izbranemu tipu '${tip}'!`})
-        }
-
-        const sql = 'INSERT INTO kos (ime, tip, vsebina, poskodovano) VALUES (?, ?, ?, false)';
-        const [result] = await pool.execute(sql, [ime, tip, vsebina]);
-
-        if (result.affectedRows === 1) {
-            const id = result.insertId; //id novega kosa
-            const urlVira = utils.urlVira(req, `/api/kosi/${id}`);
-            res.location(urlVira);
-            return res.status(201).json({
-                message: 'Kos uspešno dodan.',
-                url:urlVira
-            });
-        } 
-        throw new Error('Dodajanje kosa ni bilo uspešno!');
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos.id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Kos uspešno dodan.',
+            url:urlVira
+        });
     } catch (err) {
         next(err);
     }
@@ -279,7 +567,10 @@ router.post('/', authMiddleware, upload.single('slika'), async (req, res, next)
  * @swagger
  * /api/kosi/{id}:
  *   delete:
- *     summary: Brisanje obstoječega kosa z {id}
+ *     summary: Premik kosa z {id} v smeti
+ *     description: |
+ *       Kos izgine iz vseh seznamov, njegove datoteke, labele in komentarji pa ostanejo.
+ *       Obnovimo ali trajno izbrišemo ga prek /api/smeti; po SMETI_HRAMBA_DNI dneh se trajno izbriše sam.
  *     tags: [Kosi]
  *     parameters:
  *       - in: path
@@ -290,34 +581,55 @@ router.post('/', authMiddleware, upload.single('slika'), async (req, res, next)
  *         description: ID kosa za brisanje
  *     responses:
  *       204:
- *         description: Kos je bil uspešno izbrisan
+ *         description: Kos je bil premaknjen v smeti
  *       400:
  *         description: Neustrezen format za {id} kosa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       404:
  *         description: Kos z vpisanim {id} ne obstaja
+ *       409:
+ *         description: Kos je izposojen in ga ni mogoče izbrisati
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.delete('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/:id', authMiddleware, dovoli('kosi:brisanje'), async (req, res, next) => {
     const id = req.params.id;
 
     if (!/^\d+$/.test(id)) {
         return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
     }
 
+    let conn;
     try {        
         if (!(await utils.kosObstaja(id))) {
             return res.status(404).json({ message: `Kos z ID-jem '${id}' ne obstaja!` });
         }
-        
-        const [result] = await pool.execute('DELETE FROM kos WHERE id = ?', [id]);
-        
-        if (result.affectedRows === 1) {
-            return res.status(204).send();
-        } 
-        throw new Error('Brisanje kosa ni bilo uspešno!');
+
+        const [izposoje] = await pool.execute('SELECT id FROM izposoja WHERE kos_id = ? AND vrnjeno_ob IS NULL', [id]);
+        if (izposoje.length > 0) {
+            return res.status(409).json({ message: `Kos z ID-jem '${id}' je izposojen in ga ni mogoče izbrisati!` });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // kos gre v smeti, datoteke pobrišemo šele ob trajnem brisanju
+        const prej = await revizija.posnetek(conn, 'kos', id);
+        const sql = 'UPDATE kos SET izbrisano_ob = NOW(), izbrisano_od = ? WHERE id = ? AND izbrisano_ob IS NULL';
+        const [result] = await conn.execute(sql, [req.user.id, id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Brisanje kosa ni bilo uspešno!');
+        }
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'brisanje', entiteta: 'kos', entiteta_id: id, prej });
+        await conn.commit();
+
+        return res.status(204).send();
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -346,18 +658,20 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
  *                 description: Novo ime kosa
  *               poskodovano:
  *                 type: boolean
- *                 description: Zastavica, če je kos poškodovan (true -> je poškodovan)
+ *                 description: true odpre popravilo (če kos še nima odprtega), false zaključi vsa odprta popravila kosa
  *     responses:
  *       204:
  *         description: Uspešno posodobljen kos
  *       400:
  *         description: Manjkajo podatki za shranjevanje kosa ali format za {id} kosa ni ustrezen
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       404:
  *         description: Kos z vpisanim {id} ne obstaja
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.put('/:id', authMiddleware, async (req, res, next) => {
+router.put('/:id', authMiddleware, dovoli('kosi:urejanje'), async (req, res, next) => {
     const id = req.params.id;
     const {ime, poskodovano} = req.body; //samo 'ime' in 'poskodovno' se lahko posodobi
 
@@ -365,56 +679,250 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
         return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
     }
     
+    let conn;
     try{
         if (!(await utils.kosObstaja(id))) {
             return res.status(404).json({message: `Kos z ID-jem '${id}' ne obstaja!`});
         }
 
-        // Gradimo dinamični SQL glede na poslana polja
-        const updates = [];
-        const params = [];
+        if (ime === undefined && poskodovano === undefined) {
+            return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+        }
+
+        if (ime !== undefined && ime.trim() === "") {
+            return res.status(400).json({ message: 'Ime kosa ne sme biti prazno!' });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const prej = await revizija.posnetek(conn, 'kos', id);
 
         if (ime !== undefined) {
-            if (ime.trim() === "") {
-                return res.status(400).json({ message: 'Ime kosa ne sme biti prazno!' });
-            }
-            updates.push('ime = ?');
-            params.push(ime);
+            await conn.execute('UPDATE kos SET ime = ? WHERE id = ?', [ime, id]);
         }
 
+        // poskodovano se izpelje iz odprtih popravil, zato popravilo odpremo ali zaključimo
         if (poskodovano !== undefined) {
-            // poskodovano naj bo vedno 0 ali 1
-            const val = poskodovano ? 1 : 0;
-            updates.push('poskodovano = ?');
-            params.push(val);
+            if (!poskodovano) {
+                await popravila.zakljuciPopravila(conn, id, req.user.id);
+            } else if (!(await popravila.imaOdprtaPopravila(id, conn))) {
+                await popravila.prijaviPoskodbo(conn, {
+                    kos_id: id,
+                    prijavil_id: req.user.id,
+                    opis: 'Kos je označen kot poškodovan.'
+                });
+            }
         }
 
-        if (updates.length === 0) {
-            return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
-        }
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'urejanje', entiteta: 'kos', entiteta_id: id, prej });
+        await conn.commit();
 
-        params.push(id); // id za WHERE
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
 
-        const sql = `UPDATE kos SET ${updates.join(', ')} WHERE id = ?`;
-        const [result] = await pool.execute(sql, params);
+// true, če je vrednost seznam ID-jev brez ponovitev
+function seznamId(vrednost) {
+    return Array.isArray(vrednost)
+        && vrednost.every(id => /^\d+$/.test(String(id)))
+        && new Set(vrednost.map(String)).size === vrednost.length;
+}
 
-        if (result.affectedRows === 1) {
-            return res.status(204).send();
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaketnaSprememba:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         rezultati:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               kos_id:
+ *                 type: integer
+ *               dodane_labele:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Labele, ki jih kos prej ni imel
+ *               odstranjene_labele:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Labele, ki jih je kos imel
+ *               poskodovano:
+ *                 type: boolean
+ *               izbrisan:
+ *                 type: boolean
+ *               napaka:
+ *                 type: object
+ *                 description: Zakaj kosa ni bilo mogoče spremeniti
+ *                 properties:
+ *                   status:
+ *                     type: integer
+ *                   message:
+ *                     type: string
+ */
+
+/**
+ * @swagger
+ * /api/kosi/paketno:
+ *   post:
+ *     summary: Paketna sprememba več kosov hkrati
+ *     description: |
+ *       Na vse naštete kose doda ali z njih odstrani labele, jih označi kot poškodovane ali popravljene
+ *       (z odpiranjem oziroma zaključevanjem popravil) ali pa jih premakne v smeti.
+ *       Vse se izvede v eni transakciji: če katerega od kosov ni mogoče spremeniti, se ne shrani nobena sprememba.
+ *       Dodajanje in odstranjevanje label zahteva dovoljenje za labeliranje, poskodovano za urejanje, izbrisi za brisanje kosov.
+ *     tags: [Kosi]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kosi
+ *             properties:
+ *               kosi:
+ *                 type: array
+ *                 description: ID-ji kosov (največ 500)
+ *                 items:
+ *                   type: integer
+ *                 example: [101, 102, 103]
+ *               dodaj_labele:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               odstrani_labele:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               poskodovano:
+ *                 type: boolean
+ *                 description: true odpre popravilo kosom brez odprtega popravila, false zaključi vsa odprta popravila
+ *               izbrisi:
+ *                 type: boolean
+ *                 description: true premakne kose v smeti; ni ga mogoče združiti z ostalimi spremembami
+ *     responses:
+ *       200:
+ *         description: Vsi kosi so bili spremenjeni
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaketnaSprememba'
+ *       400:
+ *         description: Neustrezen seznam kosov ali label, ni sprememb ali pa so spremembe nezdružljive
+ *       403:
+ *         description: Uporabnik nima dovoljenja za katero od sprememb
+ *       404:
+ *         description: Labela za dodajanje ne obstaja
+ *       409:
+ *         description: Katerega od kosov ni mogoče spremeniti; napake so pri posameznih postavkah, shranjeno ni nič
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaketnaSprememba'
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/paketno', authMiddleware, async (req, res, next) => {
+    const {kosi: kosIds, dodaj_labele = [], odstrani_labele = [], poskodovano, izbrisi = false} = req.body;
+
+    if (!seznamId(kosIds) || kosIds.length === 0) {
+        return res.status(400).json({ message: 'kosi mora biti neprazen seznam ID-jev kosov brez ponovitev!' });
+    }
+    if (kosIds.length > kosi.NAJVEC_V_PAKETU) {
+        return res.status(400).json({ message: `Naenkrat lahko spremenite največ ${kosi.NAJVEC_V_PAKETU} kosov!` });
+    }
+    if (!seznamId(dodaj_labele) || !seznamId(odstrani_labele)) {
+        return res.status(400).json({ message: 'dodaj_labele in odstrani_labele morata biti seznama ID-jev label brez ponovitev!' });
+    }
+    if (poskodovano !== undefined && typeof poskodovano !== 'boolean') {
+        return res.status(400).json({ message: 'poskodovano mora biti true ali false!' });
+    }
+    if (typeof izbrisi !== 'boolean') {
+        return res.status(400).json({ message: 'izbrisi mora biti true ali false!' });
+    }
+
+    const labeleSpremembe = dodaj_labele.length > 0 || odstrani_labele.length > 0;
+    if (!labeleSpremembe && poskodovano === undefined && !izbrisi) {
+        return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+    }
+    if (izbrisi && (labeleSpremembe || poskodovano !== undefined)) {
+        return res.status(400).json({ message: 'Brisanja kosov ni mogoče združiti z drugimi spremembami!' });
+    }
+    if (dodaj_labele.some(id => odstrani_labele.map(String).includes(String(id)))) {
+        return res.status(400).json({ message: 'Iste labele ni mogoče hkrati dodati in odstraniti!' });
+    }
+
+    const potrebnaDovoljenja = [
+        ...(labeleSpremembe ? ['kosi:labeliranje'] : []),
+        ...(poskodovano !== undefined ? ['kosi:urejanje'] : []),
+        ...(izbrisi ? ['kosi:brisanje'] : [])
+    ];
+    if (!potrebnaDovoljenja.every(dejanje => imaDovoljenje(req.user, dejanje))) {
+        return res.status(403).json({ message: 'Nimate dovoljenja za to dejanje!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        if (dodaj_labele.length > 0) {
+            const mesta = dodaj_labele.map(() => '?').join(', ');
+            const [obstojece] = await conn.execute(
+                `SELECT id FROM labela WHERE id IN (${mesta}) AND izbrisano_ob IS NULL FOR UPDATE`,
+                dodaj_labele
+            );
+            const manjkajoca = dodaj_labele.find(id => !obstojece.some(l => String(l.id) === String(id)));
+            if (manjkajoca !== undefined) {
+                await conn.rollback();
+                return res.status(404).json({ message: `Labela z ID-jem '${manjkajoca}' ne obstaja!` });
+            }
+        }
+
+        const spremembe = {
+            dodaj_labele: dodaj_labele.map(Number),
+            odstrani_labele: odstrani_labele.map(Number),
+            poskodovano,
+            izbrisi
+        };
+        const rezultati = [];
+        // po napaki nadaljujemo, da odgovor pokaže vse kose, ki jih ni mogoče spremeniti
+        for (const kos_id of kosIds.map(Number)) {
+            rezultati.push(await kosi.spremeniKos(conn, kos_id, spremembe, req.user.id));
         }
 
-        /*if(!ime){
-            return res.status(400).json({message: 'Manjka podatek *ime* za posodabljanje kosa!'});
+        if (rezultati.some(r => r.napaka)) {
+            await conn.rollback();
+            return res.status(409).json({
+                message: 'Nekaterih kosov ni mogoče spremeniti, zato ni bila shranjena nobena sprememba!',
+                rezultati
+            });
         }
+        await conn.commit();
 
-        const sql = 'UPDATE kos SET ime=? WHERE id=?';
-        const [result] = await pool.execute(sql, [ime, id]);
-        
-        if (result.affectedRows === 1) {
-            return res.status(204).send(); 
-        } */
-        throw new Error('Spreminjanje kosa ni bilo uspešno!');
+        return res.status(200).json({
+            message: 'Kosi uspešno spremenjeni.',
+            rezultati
+        });
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -451,6 +959,8 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
  *                   type: string
  *       400:
  *         description: Manjkajo podatki kos_id ali labela_id ali {id} ni pravega formata
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       404:
  *         description: Kos z {kos_id} ali labela z {labela_id} ne obstaja
  *       409:
@@ -459,7 +969,7 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
  *         description: Notranja napaka strežnika
  */
 // dodajanje labele :lab_id na kos :kos_id ----> kosi/:id/labele/:labela_id
-router.post('/:kos_id/labele/:labela_id', authMiddleware, async (req, res, next) => {
+router.post('/:kos_id/labele/:labela_id', authMiddleware, dovoli('kosi:labeliranje'), async (req, res, next) => {
     const {kos_id, labela_id} = req.params;
 
     if (!kos_id || !labela_id) {
@@ -469,6 +979,7 @@ router.post('/:kos_id/labele/:labela_id', authMiddleware, async (req, res, next)
         return res.status(400).json({ message: 'ID mora biti številka.' });
     }
 
+    let conn;
     try {
         if (!(await utils.kosObstaja(kos_id))) {
             return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
@@ -477,26 +988,34 @@ router.post('/:kos_id/labele/:labela_id', authMiddleware, async (req, res, next)
         if (!(await utils.labelaObstaja(labela_id))) {
             return res.status(404).json({ message: `Labela z ID-jem '${labela_id}' ne obstaja!` });
         }
-        
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
         const sql = 'INSERT INTO kos_labela (kos_id, labela_id) VALUES (?, ?)';
-        const [result] = await pool.execute(sql, [kos_id, labela_id]);
-
-        if (result.affectedRows === 1) {
-            const id = result.insertId; //id nove labele
-            const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/labele/${labela_id}`);
-            res.location(urlVira);
-            return res.status(201).json({
-                message: 'Labela uspešno dodana na kos.',
-                url:urlVira
-            });
+        const [result] = await conn.execute(sql, [kos_id, labela_id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Dodajanje labele na kos ni bilo uspešno!');
         }
-        throw new Error('Dodajanje labele na kos ni bilo uspešno!');
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'dodajanje_labele', entiteta: 'kos', entiteta_id: kos_id, prej });
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/labele/${labela_id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Labela uspešno dodana na kos.',
+            url:urlVira
+        });
     } catch (err) {
+        if (conn) await conn.rollback();
         if (err.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({ message: 'Ta labela je že povezana s kosom!' });
         } else {
             next(err);
         }
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -524,35 +1043,47 @@ router.post('/:kos_id/labele/:labela_id', authMiddleware, async (req, res, next)
  *         description: Labela je bila uspešno odstranjena s kosa
  *       400:
  *         description: Neustrezen format za {id} kosa ali {id} labele
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       404:
  *         description: Povezava kos_labela ne obstaja
  *       500:
  *         description: Notranja napaka strežnika
  */
 // brisanje labele :lab_id z kosa :kos_id --------> kosi/:id/labele/:labela_id
-router.delete('/:kos_id/labele/:labela_id', authMiddleware, async (req, res, next) => {
+router.delete('/:kos_id/labele/:labela_id', authMiddleware, dovoli('kosi:labeliranje'), async (req, res, next) => {
     const {kos_id, labela_id} = req.params;
 
     if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(labela_id)) {
         return res.status(400).json({ message: 'ID mora biti številka!' });
     }
 
+    let conn;
     try {
         // Preverimo, če povezava obstaja
         const [povezava] = await pool.execute('SELECT kos_id, labela_id FROM kos_labela WHERE kos_id = ? AND labela_id = ?', [kos_id, labela_id]);
         if (povezava.length === 0) {
             return res.status(404).json({ message: 'Povezava kos_labela ne obstaja!' });
         }
-        
-        const sql = 'DELETE FROM kos_labela WHERE kos_id = ? AND labela_id = ?';
-        const [result] = await pool.execute(sql, [kos_id, labela_id]);
 
-        if (result.affectedRows === 1) {
-            return res.status(204).send();
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        const sql = 'DELETE FROM kos_labela WHERE kos_id = ? AND labela_id = ?';
+        const [result] = await conn.execute(sql, [kos_id, labela_id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Brisanje labele iz kosa ni bilo uspešno!');
         }
-        throw new Error('Brisanje labele iz kosa ni bilo uspešno!');
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'odstranjevanje_labele', entiteta: 'kos', entiteta_id: kos_id, prej });
+        await conn.commit();
+
+        return res.status(204).send();
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
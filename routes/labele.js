@@ -2,9 +2,15 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../utils/db.js'); // uvozimo Connection Pool
 const utils = require('../utils/utils.js'); // uvozimo pomožne funckije
+const filtri = require('../utils/filtri.js');
+const paginacija = require('../utils/paginacija.js');
+const revizija = require('../utils/revizija.js');
+const smeti = require('../utils/smeti.js');
+const labele = require('../utils/labele.js');
 const multer = require('multer');
 const upload = multer(); 
 const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
 
 /**
  * @swagger
@@ -25,6 +31,19 @@ const authMiddleware = require('../utils/auth');
  *             - spol
  *             - velikost
  *             - drugo
+ *         nadrejena_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Nadrejena labela istega tipa v drevesu label
+ *     DrevoLabel:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Labele'
+ *         - type: object
+ *           properties:
+ *             podrejene:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DrevoLabel'
  */
 
 /**
@@ -45,15 +64,66 @@ const authMiddleware = require('../utils/auth');
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, dovoli('labele:branje'), async (req, res, next) => {
     try {
-        const [rows] = await pool.execute('SELECT id, naziv, tip FROM labela');
+        const [rows] = await pool.execute('SELECT id, naziv, tip, nadrejena_id FROM labela WHERE izbrisano_ob IS NULL');
         res.status(200).json(rows);		// Pošljemo podatke uporabniku kot JSON
     } catch (err) {
         next(err);
 	}
 });
 
+/**
+ * @swagger
+ * /api/labele/drevo:
+ *   get:
+ *     summary: Pridobivanje drevesa label
+ *     description: Labele so urejene po nazivu; labela brez nadrejene (ali z nadrejeno v smeteh) je koren.
+ *     tags: [Labele]
+ *     parameters:
+ *       - in: query
+ *         name: tip
+ *         schema:
+ *           $ref: '#/components/schemas/Labele/properties/tip'
+ *         required: false
+ *         description: Samo drevo label tega tipa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjeno drevo label
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DrevoLabel'
+ *       400:
+ *         description: Neveljaven parameter tip
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/drevo', authMiddleware, dovoli('labele:branje'), async (req, res, next) => {
+    const {tip} = req.query;
+
+    if (tip !== undefined && !filtri.TIPI_LABEL.includes(tip)) {
+        return res.status(400).json({ message: `Neveljaven parameter tip! Dovoljeni tipi: ${filtri.TIPI_LABEL.join(', ')}` });
+    }
+
+    try {
+        let sql = 'SELECT id, naziv, tip, nadrejena_id FROM labela WHERE izbrisano_ob IS NULL';
+        const params = [];
+        if (tip !== undefined) {
+            sql += ' AND tip = ?';
+            params.push(tip);
+        }
+        sql += ' ORDER BY naziv';
+
+        const [rows] = await pool.execute(sql, params);
+        res.status(200).json(labele.zgradiDrevo(rows));
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/labele/{id}:
@@ -81,7 +151,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.get('/:id', authMiddleware, async (req, res, next) => {
+router.get('/:id', authMiddleware, dovoli('labele:branje'), async (req, res, next) => {
     try {
 		const id = req.params.id;
         if (!/^\d+$/.test(id)) {
@@ -91,7 +161,7 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
             return res.status(404).json({message: `Labela z ID-jem '${id}' ne obstaja!`});
         }
                 
-        const sql = 'SELECT id, naziv, tip FROM labela WHERE id = ?';
+        const sql = 'SELECT id, naziv, tip, nadrejena_id FROM labela WHERE id = ?';
         const [result] = await pool.execute(sql, [id]);
 
         res.status(200).json(result);
@@ -113,9 +183,24 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
  *         schema:
  *           type: integer
  *         description: ID labele
+ *       - in: query
+ *         name: uredi
+ *         schema:
+ *           type: string
+ *           enum: [ime, -ime, tip, -tip, datum, -datum]
+ *           default: ime
+ *         required: false
+ *         description: Polje za razvrščanje, z '-' za padajoči vrstni red
+ *       - $ref: '#/components/parameters/Stran'
+ *       - $ref: '#/components/parameters/NaStran'
  *     responses:
  *       200:
- *         description: Uspešno vrnjen seznam kosov z labelo z vpisanim {id}
+ *         description: Uspešno vrnjena stran kosov z labelo z vpisanim {id}
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
@@ -135,14 +220,14 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
  *                       - video
  *                       - pdf
  *       400:
- *         description: Neustrezen format za {id} labele
+ *         description: Neustrezen format za {id} labele ali neveljaven parameter za razvrščanje ali ostranjevanje
  *       404:
  *         description: Labela z vpisanim {id} ne obstaja
  *       500:
  *         description: Notranja napaka strežnika
  */
 //pridobivanje vseh kosov z labelo :id
-router.get('/:id/kosi', authMiddleware, async (req, res, next) => {
+router.get('/:id/kosi', authMiddleware, dovoli('labele:branje'), async (req, res, next) => {
     try {
 		const id = req.params.id;
        
@@ -150,18 +235,37 @@ router.get('/:id/kosi', authMiddleware, async (req, res, next) => {
             return res.status(400).json({ message: 'Neustrezen format za ID labele!' });
         }
 
+        const razvrstitev = filtri.razvrstitevKosov(req.query.uredi);
+        if (razvrstitev.napaka) {
+            return res.status(400).json({ message: razvrstitev.napaka });
+        }
+        const stran = paginacija.preberiStran(req.query);
+        if (stran.napaka) {
+            return res.status(400).json({ message: stran.napaka });
+        }
+
         if (!(await utils.labelaObstaja(id))) {
             return res.status(404).json({ message: `Labela z ID-jem '${id}' ne obstaja!` });
         }
 
+        const [skupaj] = await pool.execute(`
+            SELECT COUNT(*) AS skupaj
+            FROM kos_labela kl
+            JOIN kos k ON k.id = kl.kos_id
+            WHERE kl.labela_id = ? AND k.izbrisano_ob IS NULL
+        `, [id]);
+
         const sql = `
             SELECT id, ime, tip 
             FROM kos k
             JOIN kos_labela kl ON k.id = kl.kos_id
-            WHERE kl.labela_id = ?
+            WHERE kl.labela_id = ? AND k.izbrisano_ob IS NULL
+            ${razvrstitev.orderBy}
+            ${paginacija.limitSql(stran)}
         `;
         const [result] = await pool.execute(sql, [id]);
 
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
         res.status(200).json(result);
     } catch (err) {
         next(err);
@@ -198,7 +302,7 @@ router.get('/:id/kosi', authMiddleware, async (req, res, next) => {
  *         description: Notranja napaka strežnika
  */
 //pridobivanje vseh label kosa s posredovanim kos_id
-router.get('/kos/:kos_id', authMiddleware, async (req, res, next) => {
+router.get('/kos/:kos_id', authMiddleware, dovoli('labele:branje'), async (req, res, next) => {
     try {
 		const kos_id = req.params.kos_id;
         if (!/^\d+$/.test(kos_id)) {
@@ -212,7 +316,7 @@ router.get('/kos/:kos_id', authMiddleware, async (req, res, next) => {
             SELECT id, naziv, tip 
             FROM labela l
             JOIN kos_labela kl ON l.id = kl.labela_id
-            WHERE kl.kos_id = ?
+            WHERE kl.kos_id = ? AND l.izbrisano_ob IS NULL
             `;
         const [result] = await pool.execute(sql, [kos_id]);
 
@@ -239,6 +343,10 @@ router.get('/kos/:kos_id', authMiddleware, async (req, res, next) => {
  *                 type: string
  *               tip:
  *                 $ref: '#/components/schemas/Labele/properties/tip'
+ *               nadrejena_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Nadrejena labela istega tipa (neobvezno)
  *     responses:
  *       201:
  *         description: Labela uspešno dodana
@@ -252,14 +360,18 @@ router.get('/kos/:kos_id', authMiddleware, async (req, res, next) => {
  *                 url:
  *                   type: string
  *       400:
- *         description: Manjkajo podatki za dodajanje nove labele ali tip ni pravilen
+ *         description: Manjkajo podatki za dodajanje nove labele, tip ni pravilen ali nadrejena labela je drugega tipa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Nadrejena labela ne obstaja
  *       409:
  *         description: Labela z istim imenom že obstaja
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.post('/', authMiddleware, async (req, res, next) => { 
-    const {naziv, tip} = req.body;
+router.post('/', authMiddleware, dovoli('labele:dodajanje'), async (req, res, next) => { 
+    const {naziv, tip, nadrejena_id = null} = req.body;
 
     if (!naziv || !tip) {
         return res.status(400).json({ message: 'Manjkajo podatki: naziv ali tip!' });
@@ -271,28 +383,362 @@ router.post('/', authMiddleware, async (req, res, next) => {
             message: `Neveljaven tip labele! Dovoljeni tipi: ${dovoljeniTipi.join(', ')}`
         });
     }
+    if (nadrejena_id !== null && !/^\d+$/.test(nadrejena_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nadrejene labele!' });
+    }
+    let conn;
     try {
-        //ali že obstaja labela z istim imenom
-        const [rows] = await pool.execute('SELECT id FROM labela WHERE naziv = ?', [naziv]);
+        if (nadrejena_id !== null) {
+            const nadrejena = await labele.preveriNadrejeno(pool, { tip, nadrejena_id });
+            if (nadrejena) {
+                return res.status(nadrejena.napaka.status).json({ message: nadrejena.napaka.message });
+            }
+        }
+
+        //ali že obstaja labela z istim imenom (naziv ostane zaseden tudi, ko je labela v smeteh)
+        const [rows] = await pool.execute('SELECT id, izbrisano_ob FROM labela WHERE naziv = ?', [naziv]);
+        if (rows.length > 0 && rows[0].izbrisano_ob) {
+            return res.status(409).json({ message: 'Labela z istim imenom je v smeteh! Obnovite jo ali jo trajno izbrišite.' });
+        }
         if (rows.length > 0) {
             return res.status(409).json({ message: 'Labela z istim imenom že obstaja!' });
         }
 
-        const sql = 'INSERT INTO labela (naziv, tip) VALUES (?, ?)';
-        const [result] = await pool.execute(sql, [naziv, tip]);
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
 
-        if (result.affectedRows === 1) {
-            const id = result.insertId; //id nove labele
-            const urlVira = utils.urlVira(req, `/api/labele/${id}`);
-            res.location(urlVira);
-            return res.status(201).json({
-                message: 'Labela uspešno dodana.',
-                url:urlVira
-            });
+        const sql = 'INSERT INTO labela (naziv, tip, nadrejena_id) VALUES (?, ?, ?)';
+        const [result] = await conn.execute(sql, [naziv, tip, nadrejena_id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Dodajanje labele ni bilo uspešno!');
+        }
+        const id = result.insertId; //id nove labele
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'ustvarjanje', entiteta: 'labela', entiteta_id: id });
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, `/api/labele/${id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Labela uspešno dodana.',
+            url:urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/labele/{id}/nadrejena:
+ *   put:
+ *     summary: Premik labele z {id} v drevesu label
+ *     description: Labela se premakne skupaj s svojimi podrejenimi; povezave s kosi ostanejo nespremenjene.
+ *     tags: [Labele]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID labele
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nadrejena_id
+ *             properties:
+ *               nadrejena_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Nova nadrejena labela istega tipa; null labelo premakne med korene
+ *     responses:
+ *       204:
+ *         description: Labela je bila premaknjena
+ *       400:
+ *         description: Manjka nadrejena_id, neustrezen format za ID ali nadrejena labela je drugega tipa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Labela ali nadrejena labela ne obstaja
+ *       409:
+ *         description: Labele ni mogoče premakniti pod samo sebe ali pod njeno podrejeno labelo
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/:id/nadrejena', authMiddleware, dovoli('labele:urejanje'), async (req, res, next) => {
+    const id = req.params.id;
+    const {nadrejena_id} = req.body;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID labele!' });
+    }
+    if (nadrejena_id === undefined) {
+        return res.status(400).json({ message: 'Manjka nadrejena_id (null za premik med korene)!' });
+    }
+    if (nadrejena_id !== null && !/^\d+$/.test(nadrejena_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nadrejene labele!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.execute('SELECT tip FROM labela WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Labela z ID-jem '${id}' ne obstaja!` });
+        }
+
+        if (nadrejena_id !== null) {
+            const nadrejena = await labele.preveriNadrejeno(conn, { id, tip: rows[0].tip, nadrejena_id });
+            if (nadrejena) {
+                await conn.rollback();
+                return res.status(nadrejena.napaka.status).json({ message: nadrejena.napaka.message });
+            }
+        }
+
+        const prej = await revizija.posnetek(conn, 'labela', id);
+        await conn.execute('UPDATE labela SET nadrejena_id = ? WHERE id = ?', [nadrejena_id, id]);
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'urejanje', entiteta: 'labela', entiteta_id: id, prej });
+        await conn.commit();
+
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/labele/{id}:
+ *   put:
+ *     summary: Urejanje naziva in tipa labele z {id}
+ *     description: Tip je mogoče spremeniti samo labeli, ki nima nadrejene ne podrejenih label (drevo ostane enotnega tipa).
+ *     tags: [Labele]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID labele
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               naziv:
+ *                 type: string
+ *               tip:
+ *                 $ref: '#/components/schemas/Labele/properties/tip'
+ *     responses:
+ *       204:
+ *         description: Labela je bila posodobljena
+ *       400:
+ *         description: Manjkajo podatki za posodabljanje, neustrezen format za {id} ali tip ni pravilen
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Labela z vpisanim {id} ne obstaja
+ *       409:
+ *         description: Labela z istim imenom že obstaja ali labela v drevesu ne more spremeniti tipa
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/:id', authMiddleware, dovoli('labele:urejanje'), async (req, res, next) => {
+    const id = req.params.id;
+    const {naziv, tip} = req.body;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID labele!' });
+    }
+    if (naziv === undefined && tip === undefined) {
+        return res.status(400).json({ message: 'Manjkajo podatki: naziv ali tip!' });
+    }
+    if (naziv !== undefined && (typeof naziv !== 'string' || naziv.trim() === '')) {
+        return res.status(400).json({ message: 'Naziv labele ne sme biti prazen!' });
+    }
+    if (tip !== undefined && !filtri.TIPI_LABEL.includes(tip)) {
+        return res.status(400).json({ message: `Neveljaven tip labele! Dovoljeni tipi: ${filtri.TIPI_LABEL.join(', ')}` });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.execute('SELECT naziv, tip, nadrejena_id FROM labela WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Labela z ID-jem '${id}' ne obstaja!` });
+        }
+        const labela = rows[0];
+
+        if (naziv !== undefined && naziv !== labela.naziv) {
+            //naziv ostane zaseden tudi, ko je labela v smeteh
+            const [enake] = await conn.execute('SELECT id, izbrisano_ob FROM labela WHERE naziv = ? AND id <> ?', [naziv, id]);
+            if (enake.length > 0) {
+                await conn.rollback();
+                return res.status(409).json({
+                    message: enake[0].izbrisano_ob
+                        ? 'Labela z istim imenom je v smeteh! Obnovite jo ali jo trajno izbrišite.'
+                        : 'Labela z istim imenom že obstaja!'
+                });
+            }
+        }
+
+        if (tip !== undefined && tip !== labela.tip) {
+            // tudi podrejene v smeteh, sicer bi po obnovitvi v drevesu mešali tipe
+            const [podrejene] = await conn.execute('SELECT 1 FROM labela WHERE nadrejena_id = ? LIMIT 1', [id]);
+            if (labela.nadrejena_id !== null || podrejene.length > 0) {
+                await conn.rollback();
+                return res.status(409).json({
+                    message: 'Labeli v drevesu ni mogoče spremeniti tipa! Najprej jo premaknite med korene in premaknite njene podrejene labele.'
+                });
+            }
+        }
+
+        const prej = await revizija.posnetek(conn, 'labela', id);
+        await conn.execute('UPDATE labela SET naziv = ?, tip = ? WHERE id = ?', [naziv ?? labela.naziv, tip ?? labela.tip, id]);
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'urejanje', entiteta: 'labela', entiteta_id: id, prej });
+        await conn.commit();
+
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/labele/{id}/zdruzitev:
+ *   post:
+ *     summary: Združitev labele z {id} v drugo labelo
+ *     description: |
+ *       Vse povezave s kosi in podrejene labele preidejo na ciljno labelo, labela z {id} pa se trajno izbriše.
+ *       Kos, ki je imel obe labeli, obdrži eno povezavo. Združiti je mogoče samo labeli istega tipa.
+ *     tags: [Labele]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID labele, ki se združi in izbriše
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ciljna_id
+ *             properties:
+ *               ciljna_id:
+ *                 type: integer
+ *                 description: ID labele, ki ostane
+ *     responses:
+ *       200:
+ *         description: Labeli sta združeni; URL ciljne labele je v glavi Location in v polju url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                 kosov:
+ *                   type: integer
+ *                   description: Število kosov, katerih povezave so se premaknile
+ *       400:
+ *         description: Manjka ciljna_id, neustrezen format za ID, labela je ciljna sama sebi ali sta labeli različnega tipa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Labela ali ciljna labela ne obstaja
+ *       409:
+ *         description: Ciljna labela je podrejena labeli z {id}
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:id/zdruzitev', authMiddleware, dovoli('labele:urejanje'), async (req, res, next) => {
+    const id = req.params.id;
+    const {ciljna_id} = req.body;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID labele!' });
+    }
+    if (ciljna_id === undefined || ciljna_id === null) {
+        return res.status(400).json({ message: 'Manjka ciljna_id!' });
+    }
+    if (!/^\d+$/.test(ciljna_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID ciljne labele!' });
+    }
+    if (String(ciljna_id) === id) {
+        return res.status(400).json({ message: 'Labele ni mogoče združiti same s sabo!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.execute(
+            'SELECT id, tip FROM labela WHERE id IN (?, ?) AND izbrisano_ob IS NULL ORDER BY id FOR UPDATE',
+            [id, ciljna_id]
+        );
+        const labela = rows.find(l => String(l.id) === id);
+        const ciljna = rows.find(l => String(l.id) === String(ciljna_id));
+        if (!labela) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Labela z ID-jem '${id}' ne obstaja!` });
+        }
+        if (!ciljna) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Ciljna labela z ID-jem '${ciljna_id}' ne obstaja!` });
         }
-        throw new Error('Dodajanje labele ni bilo uspešno!');
+        if (labela.tip !== ciljna.tip) {
+            await conn.rollback();
+            return res.status(400).json({ message: `Združiti je mogoče samo labeli istega tipa (${labela.tip})!` });
+        }
+        // podrejene bi se sicer premaknile pod lastno podrejeno labelo
+        if (await labele.jePodrejena(conn, ciljna_id, id)) {
+            await conn.rollback();
+            return res.status(409).json({ message: 'Labele ni mogoče združiti v njeno podrejeno labelo!' });
+        }
+
+        const kosov = await labele.zdruzi(conn, id, ciljna_id, req.user.id);
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, `/api/labele/${ciljna_id}`);
+        res.location(urlVira);
+        return res.status(200).json({
+            message: 'Labeli uspešno združeni.',
+            url: urlVira,
+            kosov
+        });
     } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
@@ -300,7 +746,11 @@ router.post('/', authMiddleware, async (req, res, next) => {
  * @swagger
  * /api/labele/{id}:
  *   delete:
- *     summary: Brisanje obstoječe labele z {id}
+ *     summary: Premik labele z {id} v smeti
+ *     description: |
+ *       Labela izgine iz seznamov; obnovimo ali trajno izbrišemo jo prek /api/smeti.
+ *       Labelo na kosu izbrišemo samo s potrdi=true, ki jo najprej odstrani z vseh kosov zunaj smeti.
+ *       Obnovitev iz smeti teh povezav ne vrne.
  *     tags: [Labele]
  *     parameters:
  *       - in: path
@@ -309,40 +759,71 @@ router.post('/', authMiddleware, async (req, res, next) => {
  *         schema:
  *           type: integer
  *         description: ID labele
+ *       - in: query
+ *         name: potrdi
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Potrditev, da se labela odstrani tudi s kosov
  *     responses:
  *       204:
- *         description: Labela je bila uspešno izbrisana
+ *         description: Labela je bila premaknjena v smeti
  *       400:
- *         description: Neustrezen format za {id} labele
+ *         description: Neustrezen format za {id} labele ali neveljaven parameter potrdi
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
  *       404:
  *         description: Labela z vpisanim {id} ne obstaja
  *       409:
- *        description: Labela je povezana s kosom in je zato ni mogoče izbrisati
+ *        description: Labela je povezana s kosom in brisanje ni potrjeno s potrdi=true
  *       500:
  *         description: Notranja napaka strežnika
  */
-router.delete('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/:id', authMiddleware, dovoli('labele:brisanje'), async (req, res, next) => {
     const id = req.params.id;
+    const {potrdi = 'false'} = req.query;
     if (!/^\d+$/.test(id)) {
             return res.status(400).json({ message: 'Neustrezen format za ID labela!' });
         }
+    if (potrdi !== 'true' && potrdi !== 'false') {
+        return res.status(400).json({ message: 'Neveljaven parameter potrdi! Dovoljeni vrednosti: true, false' });
+    }
 
+    let conn;
     try {        
         if (!(await utils.labelaObstaja(id))) {
             return res.status(404).json({ message: `Labela z ID-jem '${id}' ne obstaja!` });
         }
-        const [result] = await pool.execute('DELETE FROM labela WHERE id = ?', [id]);
-        
-        if (result.affectedRows === 1) {
-            return res.status(204).send();
-        } 
-        throw new Error('Brisanje labele ni bilo uspešno!');
-    } catch (err) {
-        // Če gre za MySQL foreign key constraint
-        if (err.code === 'ER_ROW_IS_REFERENCED_2') {
-            return res.status(409).json({ message: 'Labela je povezana s kosom in je zato ni mogoče izbrisati!' });
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // povezave s kosi v smeteh ne štejejo; ostanejo, dokler labele ne izbrišemo trajno
+        if (potrdi === 'true') {
+            await labele.odstraniSKosov(conn, id, req.user.id);
+        } else if (await smeti.labelaNaKosih(conn, id)) {
+            await conn.rollback();
+            return res.status(409).json({
+                message: 'Labela je povezana s kosom! Za brisanje skupaj s povezavami dodajte potrdi=true.'
+            });
+        }
+
+        const prej = await revizija.posnetek(conn, 'labela', id);
+        const sql = 'UPDATE labela SET izbrisano_ob = NOW(), izbrisano_od = ? WHERE id = ? AND izbrisano_ob IS NULL';
+        const [result] = await conn.execute(sql, [req.user.id, id]);
+        if (result.affectedRows !== 1) {
+            throw new Error('Brisanje labele ni bilo uspešno!');
         }
+        await revizija.zabelezi(conn, { uporabnik_id: req.user.id, dejanje: 'brisanje', entiteta: 'labela', entiteta_id: id, prej });
+        await conn.commit();
+
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
         next(err);
+    } finally {
+        if (conn) conn.release();
     }
 });
 
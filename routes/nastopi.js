@@ -0,0 +1,895 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js'); // uvozimo pomožne funckije
+const popravila = require('../utils/popravila.js');
+const { LABELE_KOSA_SQL } = require('../utils/filtri.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+async function nastopObstaja(id) {
+    const [rows] = await pool.execute('SELECT id FROM nastop WHERE id = ?', [id]);
+    return rows.length > 0;
+}
+
+async function plesalecNastopa(nastop_id, uporabnik_id) {
+    const [rows] = await pool.execute(
+        'SELECT nastop_id FROM nastop_plesalec WHERE nastop_id = ? AND uporabnik_id = ?',
+        [nastop_id, uporabnik_id]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * opozorilaNastopa(nastop_id)
+ * - dvojne_dodelitve: kosi nastopa, ki so na isti datum dodeljeni več plesalcem
+ *   (v tem ali drugem nastopu)
+ * - poskodovani_kosi: dodeljeni kosi, ki so označeni kot poškodovani
+ */
+async function opozorilaNastopa(nastop_id) {
+    const sqlDvojne = `
+        SELECT
+            nk.kos_id,
+            k.ime AS kos_ime,
+            JSON_ARRAYAGG(JSON_OBJECT(
+                'nastop_id', n.id,
+                'nastop', n.naziv,
+                'uporabnik_id', u.id,
+                'uporabnisko_ime', u.uporabnisko_ime
+            )) AS dodelitve
+        FROM nastop_kos nk
+        JOIN nastop n ON nk.nastop_id = n.id
+        JOIN kos k ON nk.kos_id = k.id AND k.izbrisano_ob IS NULL
+        JOIN uporabnik u ON nk.uporabnik_id = u.id
+        WHERE n.datum = (SELECT datum FROM nastop WHERE id = ?)
+            AND nk.kos_id IN (SELECT kos_id FROM nastop_kos WHERE nastop_id = ?)
+        GROUP BY nk.kos_id, k.ime
+        HAVING COUNT(*) > 1
+    `;
+    const [dvojne] = await pool.execute(sqlDvojne, [nastop_id, nastop_id]);
+
+    const sqlPoskodovani = `
+        SELECT nk.kos_id, k.ime AS kos_ime, nk.uporabnik_id, u.uporabnisko_ime
+        FROM nastop_kos nk
+        JOIN kos k ON nk.kos_id = k.id AND k.izbrisano_ob IS NULL
+        JOIN uporabnik u ON nk.uporabnik_id = u.id
+        WHERE nk.nastop_id = ? AND ${popravila.poskodovanoSql('k')}
+    `;
+    const [poskodovani] = await pool.execute(sqlPoskodovani, [nastop_id]);
+
+    return { dvojne_dodelitve: dvojne, poskodovani_kosi: poskodovani };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Nastopi:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         naziv:
+ *           type: string
+ *         datum:
+ *           type: string
+ *           format: date
+ *         kraj:
+ *           type: string
+ *         opis:
+ *           type: string
+ *           nullable: true
+ *     OpozorilaNastopa:
+ *       type: object
+ *       properties:
+ *         dvojne_dodelitve:
+ *           type: array
+ *           description: Kosi, ki so na isti datum dodeljeni več plesalcem
+ *           items:
+ *             type: object
+ *             properties:
+ *               kos_id:
+ *                 type: integer
+ *               kos_ime:
+ *                 type: string
+ *               dodelitve:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *         poskodovani_kosi:
+ *           type: array
+ *           description: Dodeljeni kosi, ki so označeni kot poškodovani
+ *           items:
+ *             type: object
+ */
+
+/**
+ * @swagger
+ * /api/nastopi:
+ *   get:
+ *     summary: Pridobivanje vseh nastopov
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: query
+ *         name: od
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Vrne nastope na ta datum ali kasneje
+ *       - in: query
+ *         name: do
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Vrne nastope na ta datum ali prej
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen seznam nastopov
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Nastopi'
+ *       400:
+ *         description: Neveljaven parameter od ali do
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('nastopi:branje'), async (req, res, next) => {
+    const {od, do: doDatuma} = req.query;
+
+    const pogoji = [];
+    const params = [];
+
+    if (od !== undefined) {
+        if (!utils.veljavenDatum(od)) {
+            return res.status(400).json({ message: 'Parameter od mora biti datum v obliki YYYY-MM-DD!' });
+        }
+        pogoji.push('n.datum >= ?');
+        params.push(od);
+    }
+    if (doDatuma !== undefined) {
+        if (!utils.veljavenDatum(doDatuma)) {
+            return res.status(400).json({ message: 'Parameter do mora biti datum v obliki YYYY-MM-DD!' });
+        }
+        pogoji.push('n.datum <= ?');
+        params.push(doDatuma);
+    }
+
+    try {
+        let sql = `
+            SELECT n.id, n.naziv, n.datum, n.kraj, n.opis,
+                (SELECT COUNT(*) FROM nastop_plesalec np WHERE np.nastop_id = n.id) AS st_plesalcev
+            FROM nastop n
+        `;
+        if (pogoji.length > 0) {
+            sql += ` WHERE ${pogoji.join(' AND ')}`;
+        }
+        sql += ' ORDER BY n.datum';
+
+        const [rows] = await pool.execute(sql, params);
+        res.status(200).json(rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}:
+ *   get:
+ *     summary: Pridobivanje nastopa z {id} s plesalci, njihovimi kosi in opozorili
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen nastop
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Nastopi'
+ *                 - type: object
+ *                   properties:
+ *                     plesalci:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     opozorila:
+ *                       $ref: '#/components/schemas/OpozorilaNastopa'
+ *       400:
+ *         description: Neustrezen format za {id} nastopa
+ *       404:
+ *         description: Nastop z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', authMiddleware, dovoli('nastopi:branje'), async (req, res, next) => {
+    const id = req.params.id;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nastopa!' });
+    }
+
+    try {
+        const [nastopi] = await pool.execute('SELECT id, naziv, datum, kraj, opis FROM nastop WHERE id = ?', [id]);
+        if (nastopi.length === 0) {
+            return res.status(404).json({ message: `Nastop z ID-jem '${id}' ne obstaja!` });
+        }
+
+        const sqlPlesalci = `
+            SELECT u.id AS uporabnik_id, u.uporabnisko_ime, u.prikazno_ime
+            FROM nastop_plesalec np
+            JOIN uporabnik u ON np.uporabnik_id = u.id
+            WHERE np.nastop_id = ?
+            ORDER BY u.uporabnisko_ime
+        `;
+        const [plesalci] = await pool.execute(sqlPlesalci, [id]);
+
+        const sqlKosi = `
+            SELECT nk.uporabnik_id, k.id, k.ime, k.tip, ${popravila.poskodovanoSql('k')} AS poskodovano
+            FROM nastop_kos nk
+            JOIN kos k ON nk.kos_id = k.id AND k.izbrisano_ob IS NULL
+            WHERE nk.nastop_id = ?
+            ORDER BY k.ime
+        `;
+        const [kosi] = await pool.execute(sqlKosi, [id]);
+
+        const nastop = nastopi[0];
+        nastop.plesalci = plesalci.map(p => ({
+            ...p,
+            kosi: kosi.filter(k => k.uporabnik_id === p.uporabnik_id).map(({uporabnik_id, ...kos}) => kos)
+        }));
+        nastop.opozorila = await opozorilaNastopa(id);
+
+        res.status(200).json(nastop);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi:
+ *   post:
+ *     summary: Dodajanje novega nastopa
+ *     tags: [Nastopi]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - naziv
+ *               - datum
+ *               - kraj
+ *             properties:
+ *               naziv:
+ *                 type: string
+ *               datum:
+ *                 type: string
+ *                 format: date
+ *               kraj:
+ *                 type: string
+ *               opis:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Nastop uspešno dodan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjkajo podatki za dodajanje nastopa ali datum ni veljaven
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const {naziv, datum, kraj, opis} = req.body;
+
+    if (!naziv || !datum || !kraj) {
+        return res.status(400).json({ message: 'Manjkajo podatki: naziv, datum ali kraj!' });
+    }
+    if (!utils.veljavenDatum(datum)) {
+        return res.status(400).json({ message: 'Datum mora biti v obliki YYYY-MM-DD!' });
+    }
+
+    try {
+        const sql = 'INSERT INTO nastop (naziv, datum, kraj, opis) VALUES (?, ?, ?, ?)';
+        const [result] = await pool.execute(sql, [naziv, datum, kraj, opis ?? null]);
+
+        if (result.affectedRows === 1) {
+            const urlVira = utils.urlVira(req, `/api/nastopi/${result.insertId}`);
+            res.location(urlVira);
+            return res.status(201).json({
+                message: 'Nastop uspešno dodan.',
+                url: urlVira
+            });
+        }
+        throw new Error('Dodajanje nastopa ni bilo uspešno!');
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}:
+ *   put:
+ *     summary: Posodabljanje nastopa z {id}
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               naziv:
+ *                 type: string
+ *               datum:
+ *                 type: string
+ *                 format: date
+ *               kraj:
+ *                 type: string
+ *               opis:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Nastop uspešno posodobljen
+ *       400:
+ *         description: Ni podatkov za posodobitev ali podatki niso veljavni
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Nastop z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/:id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const id = req.params.id;
+    const {naziv, datum, kraj, opis} = req.body;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nastopa!' });
+    }
+
+    // Gradimo dinamični SQL glede na poslana polja
+    const updates = [];
+    const params = [];
+
+    if (naziv !== undefined) {
+        if (typeof naziv !== 'string' || naziv.trim() === '') {
+            return res.status(400).json({ message: 'Naziv nastopa ne sme biti prazen!' });
+        }
+        updates.push('naziv = ?');
+        params.push(naziv);
+    }
+    if (datum !== undefined) {
+        if (!utils.veljavenDatum(datum)) {
+            return res.status(400).json({ message: 'Datum mora biti v obliki YYYY-MM-DD!' });
+        }
+        updates.push('datum = ?');
+        params.push(datum);
+    }
+    if (kraj !== undefined) {
+        if (typeof kraj !== 'string' || kraj.trim() === '') {
+            return res.status(400).json({ message: 'Kraj nastopa ne sme biti prazen!' });
+        }
+        updates.push('kraj = ?');
+        params.push(kraj);
+    }
+    if (opis !== undefined) {
+        updates.push('opis = ?');
+        params.push(opis);
+    }
+
+    if (updates.length === 0) {
+        return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+    }
+
+    try {
+        if (!(await nastopObstaja(id))) {
+            return res.status(404).json({ message: `Nastop z ID-jem '${id}' ne obstaja!` });
+        }
+
+        params.push(id); // id za WHERE
+        await pool.execute(`UPDATE nastop SET ${updates.join(', ')} WHERE id = ?`, params);
+
+        return res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}:
+ *   delete:
+ *     summary: Brisanje nastopa z {id} skupaj s plesalci in dodeljenimi kosi
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *     responses:
+ *       204:
+ *         description: Nastop uspešno izbrisan
+ *       400:
+ *         description: Neustrezen format za {id} nastopa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Nastop z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.delete('/:id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const id = req.params.id;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nastopa!' });
+    }
+
+    try {
+        const [result] = await pool.execute('DELETE FROM nastop WHERE id = ?', [id]);
+
+        if (result.affectedRows === 1) {
+            return res.status(204).send();
+        }
+        return res.status(404).json({ message: `Nastop z ID-jem '${id}' ne obstaja!` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/plesalci/{uporabnik_id}:
+ *   post:
+ *     summary: Dodajanje plesalca na nastop
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *       - in: path
+ *         name: uporabnik_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID uporabnika
+ *     responses:
+ *       201:
+ *         description: Plesalec uspešno dodan na nastop
+ *       400:
+ *         description: ID ni pravega formata
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Nastop ali uporabnik ne obstaja
+ *       409:
+ *         description: Plesalec že sodeluje na nastopu
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:id/plesalci/:uporabnik_id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const {id, uporabnik_id} = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(uporabnik_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        if (!(await nastopObstaja(id))) {
+            return res.status(404).json({ message: `Nastop z ID-jem '${id}' ne obstaja!` });
+        }
+        const [uporabniki] = await pool.execute('SELECT id FROM uporabnik WHERE id = ?', [uporabnik_id]);
+        if (uporabniki.length === 0) {
+            return res.status(404).json({ message: `Uporabnik z ID-jem '${uporabnik_id}' ne obstaja!` });
+        }
+
+        await pool.execute('INSERT INTO nastop_plesalec (nastop_id, uporabnik_id) VALUES (?, ?)', [id, uporabnik_id]);
+
+        const urlVira = utils.urlVira(req, `/api/nastopi/${id}/plesalci/${uporabnik_id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Plesalec uspešno dodan na nastop.',
+            url: urlVira
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Plesalec že sodeluje na tem nastopu!' });
+        }
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/plesalci/{uporabnik_id}:
+ *   delete:
+ *     summary: Odstranjevanje plesalca z nastopa skupaj z njegovimi dodeljenimi kosi
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *       - in: path
+ *         name: uporabnik_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID uporabnika
+ *     responses:
+ *       204:
+ *         description: Plesalec uspešno odstranjen z nastopa
+ *       400:
+ *         description: ID ni pravega formata
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Plesalec ne sodeluje na nastopu
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.delete('/:id/plesalci/:uporabnik_id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const {id, uporabnik_id} = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(uporabnik_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM nastop_plesalec WHERE nastop_id = ? AND uporabnik_id = ?',
+            [id, uporabnik_id]
+        );
+
+        if (result.affectedRows === 1) {
+            return res.status(204).send();
+        }
+        return res.status(404).json({ message: `Uporabnik z ID-jem '${uporabnik_id}' ne sodeluje na nastopu z ID-jem '${id}'!` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/plesalci/{uporabnik_id}/kosi/{kos_id}:
+ *   post:
+ *     summary: Dodelitev kosa plesalcu za nastop
+ *     description: Dodelitev uspe tudi, če je kos na isti datum že dodeljen drugemu plesalcu ali je poškodovan, vendar odgovor vsebuje opozorila.
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *       - in: path
+ *         name: uporabnik_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID plesalca
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     responses:
+ *       201:
+ *         description: Kos uspešno dodeljen plesalcu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                 opozorila:
+ *                   $ref: '#/components/schemas/OpozorilaNastopa'
+ *       400:
+ *         description: ID ni pravega formata
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos ne obstaja ali plesalec ne sodeluje na nastopu
+ *       409:
+ *         description: Kos je plesalcu že dodeljen
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:id/plesalci/:uporabnik_id/kosi/:kos_id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const {id, uporabnik_id, kos_id} = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(uporabnik_id) || !/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        if (!(await plesalecNastopa(id, uporabnik_id))) {
+            return res.status(404).json({ message: `Uporabnik z ID-jem '${uporabnik_id}' ne sodeluje na nastopu z ID-jem '${id}'!` });
+        }
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const sql = 'INSERT INTO nastop_kos (nastop_id, uporabnik_id, kos_id) VALUES (?, ?, ?)';
+        await pool.execute(sql, [id, uporabnik_id, kos_id]);
+
+        const urlVira = utils.urlVira(req, `/api/nastopi/${id}/plesalci/${uporabnik_id}/kosi/${kos_id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Kos uspešno dodeljen plesalcu.',
+            url: urlVira,
+            opozorila: await opozorilaNastopa(id)
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Ta kos je plesalcu na tem nastopu že dodeljen!' });
+        }
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/plesalci/{uporabnik_id}/kosi/{kos_id}:
+ *   delete:
+ *     summary: Odstranjevanje dodeljenega kosa plesalcu
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *       - in: path
+ *         name: uporabnik_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID plesalca
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     responses:
+ *       204:
+ *         description: Dodelitev kosa uspešno odstranjena
+ *       400:
+ *         description: ID ni pravega formata
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos plesalcu na nastopu ni dodeljen
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.delete('/:id/plesalci/:uporabnik_id/kosi/:kos_id', authMiddleware, dovoli('nastopi:upravljanje'), async (req, res, next) => {
+    const {id, uporabnik_id, kos_id} = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(uporabnik_id) || !/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const sql = 'DELETE FROM nastop_kos WHERE nastop_id = ? AND uporabnik_id = ? AND kos_id = ?';
+        const [result] = await pool.execute(sql, [id, uporabnik_id, kos_id]);
+
+        if (result.affectedRows === 1) {
+            return res.status(204).send();
+        }
+        return res.status(404).json({ message: 'Kos plesalcu na tem nastopu ni dodeljen!' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/plesalci/{uporabnik_id}/seznam:
+ *   get:
+ *     summary: Seznam za pakiranje - kosi, ki jih plesalec potrebuje za nastop
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *       - in: path
+ *         name: uporabnik_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID plesalca
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen seznam kosov z labelami
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Kosi'
+ *                   - type: object
+ *                     properties:
+ *                       labele:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Labele'
+ *       400:
+ *         description: ID ni pravega formata
+ *       404:
+ *         description: Plesalec ne sodeluje na nastopu
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id/plesalci/:uporabnik_id/seznam', authMiddleware, dovoli('nastopi:branje'), async (req, res, next) => {
+    const {id, uporabnik_id} = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(uporabnik_id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        if (!(await plesalecNastopa(id, uporabnik_id))) {
+            return res.status(404).json({ message: `Uporabnik z ID-jem '${uporabnik_id}' ne sodeluje na nastopu z ID-jem '${id}'!` });
+        }
+
+        const sql = `
+            SELECT k.id, k.ime, k.tip, ${popravila.poskodovanoSql('k')} AS poskodovano, ${LABELE_KOSA_SQL} AS labele
+            FROM nastop_kos nk
+            JOIN kos k ON nk.kos_id = k.id AND k.izbrisano_ob IS NULL
+            WHERE nk.nastop_id = ? AND nk.uporabnik_id = ?
+            ORDER BY k.ime
+        `;
+        const [rows] = await pool.execute(sql, [id, uporabnik_id]);
+
+        res.status(200).json(rows.map(r => ({ ...r, labele: r.labele ?? [] })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/nastopi/{id}/inventura:
+ *   get:
+ *     summary: Poročilo o inventarju za nastop
+ *     description: Vrne vse dodeljene kose z labelami, povzetek po tipu oblačila in opozorila (dvojne dodelitve, poškodovani kosi).
+ *     tags: [Nastopi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID nastopa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjeno poročilo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nastop:
+ *                   $ref: '#/components/schemas/Nastopi'
+ *                 st_plesalcev:
+ *                   type: integer
+ *                 st_kosov:
+ *                   type: integer
+ *                 po_tipu_oblacila:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                 kosi:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 opozorila:
+ *                   $ref: '#/components/schemas/OpozorilaNastopa'
+ *       400:
+ *         description: Neustrezen format za {id} nastopa
+ *       404:
+ *         description: Nastop z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id/inventura', authMiddleware, dovoli('nastopi:branje'), async (req, res, next) => {
+    const id = req.params.id;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID nastopa!' });
+    }
+
+    try {
+        const [nastopi] = await pool.execute('SELECT id, naziv, datum, kraj, opis FROM nastop WHERE id = ?', [id]);
+        if (nastopi.length === 0) {
+            return res.status(404).json({ message: `Nastop z ID-jem '${id}' ne obstaja!` });
+        }
+
+        const [plesalci] = await pool.execute('SELECT COUNT(*) AS st FROM nastop_plesalec WHERE nastop_id = ?', [id]);
+
+        const sql = `
+            SELECT k.id, k.ime, k.tip, ${popravila.poskodovanoSql('k')} AS poskodovano, nk.uporabnik_id, u.uporabnisko_ime,
+                ${LABELE_KOSA_SQL} AS labele
+            FROM nastop_kos nk
+            JOIN kos k ON nk.kos_id = k.id AND k.izbrisano_ob IS NULL
+            JOIN uporabnik u ON nk.uporabnik_id = u.id
+            WHERE nk.nastop_id = ?
+            ORDER BY k.ime
+        `;
+        const [rows] = await pool.execute(sql, [id]);
+        const kosi = rows.map(r => ({ ...r, labele: r.labele ?? [] }));
+
+        // povzetek: koliko kosov posameznega tipa oblačila potrebujemo
+        const poTipuOblacila = {};
+        for (const kos of kosi) {
+            for (const labela of kos.labele.filter(l => l.tip === 'tip_oblacila')) {
+                poTipuOblacila[labela.naziv] = (poTipuOblacila[labela.naziv] ?? 0) + 1;
+            }
+        }
+
+        res.status(200).json({
+            nastop: nastopi[0],
+            st_plesalcev: plesalci[0].st,
+            st_kosov: kosi.length,
+            po_tipu_oblacila: poTipuOblacila,
+            kosi: kosi,
+            opozorila: await opozorilaNastopa(id)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
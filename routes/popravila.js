@@ -0,0 +1,447 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+// IMPORTANT: mergeParams allows access to kos_id
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const popravila = require('../utils/popravila.js');
+const multer = require('multer'); // nalaganje fotografij poškodb
+const upload = multer({storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 }}); // pomnilnik max 10MB
+const { fileTypeFromBuffer } = require('file-type');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const POPRAVILO_SQL = `
+    SELECT
+        p.id,
+        p.kos_id,
+        p.opis,
+        p.stanje,
+        p.prijavil_id,
+        pr.uporabnisko_ime AS prijavil,
+        p.prijavljeno_ob,
+        p.zaceto_ob,
+        p.popravil_id,
+        po.uporabnisko_ime AS popravil,
+        p.popravljeno_ob,
+        p.fotografija IS NOT NULL AS ima_fotografijo
+    FROM popravilo p
+    LEFT JOIN uporabnik pr ON p.prijavil_id = pr.id
+    LEFT JOIN uporabnik po ON p.popravil_id = po.id
+`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Popravila:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         kos_id:
+ *           type: integer
+ *         opis:
+ *           type: string
+ *           description: Opis poškodbe
+ *         stanje:
+ *           type: string
+ *           enum:
+ *             - prijavljeno
+ *             - v_popravilu
+ *             - popravljeno
+ *         prijavil_id:
+ *           type: integer
+ *           nullable: true
+ *         prijavil:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je prijavil poškodbo
+ *         prijavljeno_ob:
+ *           type: string
+ *           format: date-time
+ *         zaceto_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Čas začetka popravila
+ *         popravil_id:
+ *           type: integer
+ *           nullable: true
+ *         popravil:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je kos popravil
+ *         popravljeno_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ima_fotografijo:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/popravila:
+ *   get:
+ *     summary: Zgodovina popravil kosa z {kos_id}
+ *     tags: [Popravila]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjena zgodovina popravil kosa (najnovejša najprej)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Popravila'
+ *       400:
+ *         description: Neustrezen format za {kos_id}
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('popravila:branje'), async (req, res, next) => {
+    const {kos_id} = req.params;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+
+    try {
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({message: `Kos z ID-jem '${kos_id}' ne obstaja!`});
+        }
+
+        const sql = `${POPRAVILO_SQL} WHERE p.kos_id = ? ORDER BY p.prijavljeno_ob DESC, p.id DESC`;
+        const [rows] = await pool.execute(sql, [kos_id]);
+
+        res.status(200).json(rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/popravila/{id}:
+ *   get:
+ *     summary: Pridobivanje popravila z {id}
+ *     tags: [Popravila]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID popravila
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjeno popravilo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Popravila'
+ *       400:
+ *         description: Neustrezen format za ID kosa ali popravila
+ *       404:
+ *         description: Popravilo z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', authMiddleware, dovoli('popravila:branje'), async (req, res, next) => {
+    const {kos_id, id} = req.params;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(`${POPRAVILO_SQL} WHERE p.id = ? AND p.kos_id = ?`, [id, kos_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima popravila z ID-jem '${id}'!` });
+        }
+
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/popravila/{id}/fotografija:
+ *   get:
+ *     security: []
+ *     summary: Pridobivanje fotografije poškodbe
+ *     tags: [Popravila]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID popravila
+ *     responses:
+ *       200:
+ *         description: Fotografija poškodbe
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Neustrezen format za ID kosa ali popravila
+ *       404:
+ *         description: Popravilo ne obstaja ali nima fotografije
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id/fotografija', async (req, res, next) => {
+    const {kos_id, id} = req.params;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT fotografija, fotografija_mime FROM popravilo WHERE id = ? AND kos_id = ?',
+            [id, kos_id]
+        );
+        if (rows.length === 0 || !rows[0].fotografija) {
+            return res.status(404).json({ message: `Popravilo z ID-jem '${id}' nima fotografije!` });
+        }
+
+        res.setHeader('Content-Type', rows[0].fotografija_mime);
+        res.send(rows[0].fotografija);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/popravila:
+ *   post:
+ *     summary: Prijava poškodbe kosa
+ *     description: Odpre novo popravilo. Dokler ima kos odprto popravilo, je označen kot poškodovan.
+ *     tags: [Popravila]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - opis
+ *             properties:
+ *               opis:
+ *                 type: string
+ *                 description: Opis poškodbe
+ *               fotografija:
+ *                 type: string
+ *                 format: binary
+ *                 description: Neobvezna fotografija poškodbe (JPEG)
+ *     responses:
+ *       201:
+ *         description: Poškodba uspešno prijavljena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjka opis poškodbe ali neustrezen format za {kos_id}
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       415:
+ *         description: Fotografija ni v podprtem formatu
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('popravila:prijava'), upload.single('fotografija'), async (req, res, next) => {
+    const {kos_id} = req.params;
+    const {opis} = req.body;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+    if (typeof opis !== 'string' || opis.trim() === '') {
+        return res.status(400).json({ message: 'Manjka opis poškodbe!' });
+    }
+
+    try {
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        let fotografija = null;
+        let fotografija_mime = null;
+        if (req.file) {
+            const detectedType = await fileTypeFromBuffer(req.file.buffer);
+            if (!detectedType || detectedType.mime !== 'image/jpeg') {
+                return res.status(415).json({ message: 'Fotografija poškodbe mora biti v formatu JPEG!' });
+            }
+            fotografija = req.file.buffer;
+            fotografija_mime = detectedType.mime;
+        }
+
+        const id = await popravila.prijaviPoskodbo(pool, {
+            kos_id,
+            prijavil_id: req.user.id,
+            opis,
+            fotografija,
+            fotografija_mime
+        });
+
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/popravila/${id}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Poškodba uspešno prijavljena.',
+            url: urlVira
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/popravila/{id}:
+ *   put:
+ *     summary: Posodabljanje stanja ali opisa popravila
+ *     description: Stanje se lahko spreminja samo naprej (prijavljeno -> v_popravilu -> popravljeno). Ob stanju popravljeno se zabeleži, kdo je kos popravil.
+ *     tags: [Popravila]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID popravila
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stanje:
+ *                 $ref: '#/components/schemas/Popravila/properties/stanje'
+ *               opis:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Popravilo uspešno posodobljeno
+ *       400:
+ *         description: Ni podatkov za posodobitev ali stanje ni pravilno
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Popravilo z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       409:
+ *         description: Prehod v izbrano stanje ni dovoljen
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/:id', authMiddleware, dovoli('popravila:urejanje'), async (req, res, next) => {
+    const {kos_id, id} = req.params;
+    const {stanje, opis} = req.body;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [rows] = await pool.execute('SELECT stanje FROM popravilo WHERE id = ? AND kos_id = ?', [id, kos_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima popravila z ID-jem '${id}'!` });
+        }
+
+        // Gradimo dinamični SQL glede na poslana polja
+        const updates = [];
+        const params = [];
+
+        if (opis !== undefined) {
+            if (typeof opis !== 'string' || opis.trim() === '') {
+                return res.status(400).json({ message: 'Opis poškodbe ne sme biti prazen!' });
+            }
+            updates.push('opis = ?');
+            params.push(opis);
+        }
+
+        if (stanje !== undefined && stanje !== rows[0].stanje) {
+            if (!popravila.STANJA_POPRAVILA.includes(stanje)) {
+                return res.status(400).json({
+                    message: `Neveljavno stanje popravila! Dovoljena stanja: ${popravila.STANJA_POPRAVILA.join(', ')}`
+                });
+            }
+            if (!popravila.dovoljenPrehod(rows[0].stanje, stanje)) {
+                return res.status(409).json({ message: `Popravila ni mogoče prestaviti iz stanja '${rows[0].stanje}' v '${stanje}'!` });
+            }
+
+            updates.push('stanje = ?');
+            params.push(stanje);
+            if (stanje === 'v_popravilu') {
+                updates.push('zaceto_ob = NOW()');
+            }
+            if (stanje === 'popravljeno') {
+                updates.push('popravil_id = ?', 'popravljeno_ob = NOW()');
+                params.push(req.user.id);
+            }
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+        }
+
+        params.push(id); // id za WHERE
+        const [result] = await pool.execute(`UPDATE popravilo SET ${updates.join(', ')} WHERE id = ?`, params);
+
+        if (result.affectedRows === 1) {
+            return res.status(204).send();
+        }
+        throw new Error('Posodabljanje popravila ni bilo uspešno!');
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
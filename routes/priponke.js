@@ -0,0 +1,640 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+// IMPORTANT: mergeParams allows access to kos_id
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const prenos = require('../utils/prenos.js');
+const predogledi = require('../utils/predogledi.js');
+const tipiDatotek = require('../utils/tipiDatotek.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const PRIPONKA_SQL = `
+    SELECT
+        p.id,
+        p.kos_id,
+        p.napis,
+        p.vrstni_red,
+        p.tip,
+        p.mime,
+        p.velikost,
+        p.nalozeno_ob,
+        p.nalozil_id,
+        p.id = k.glavna_priponka_id AS glavna
+    FROM priponka p
+    JOIN kos k ON p.kos_id = k.id AND k.izbrisano_ob IS NULL
+`;
+
+// glavna je v multipart obrazcu niz, v JSON-u pa boolean
+function preberiGlavna(glavna) {
+    if (glavna === true || glavna === 'true') return true;
+    if (glavna === false || glavna === 'false') return false;
+    return undefined;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Priponke:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         kos_id:
+ *           type: integer
+ *         napis:
+ *           type: string
+ *           nullable: true
+ *           description: Opis priponke (npr. "Sprednja stran")
+ *         vrstni_red:
+ *           type: integer
+ *           description: Mesto priponke v seznamu (od 1 naprej)
+ *         tip:
+ *           $ref: '#/components/schemas/Kosi/properties/tip'
+ *         mime:
+ *           type: string
+ *         velikost:
+ *           type: integer
+ *           description: Velikost vsebine v bajtih
+ *         nalozeno_ob:
+ *           type: string
+ *           format: date-time
+ *         nalozil_id:
+ *           type: integer
+ *           nullable: true
+ *         glavna:
+ *           type: boolean
+ *           description: Priponka je izbrana kot glavna slika kosa
+ *         url_predogledov:
+ *           $ref: '#/components/schemas/UrlPredogledov'
+ */
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke:
+ *   get:
+ *     summary: Pridobivanje priponk kosa z {kos_id} v izbranem vrstnem redu
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjene priponke kosa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Priponke'
+ *       400:
+ *         description: Neustrezen format za {kos_id}
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('kosi:branje'), async (req, res, next) => {
+    const {kos_id} = req.params;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+
+    try {
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const [rows] = await pool.execute(`${PRIPONKA_SQL} WHERE p.kos_id = ? ORDER BY p.vrstni_red, p.id`, [kos_id]);
+        res.status(200).json(rows.map(priponka => ({
+            ...priponka,
+            url_predogledov: predogledi.urlPredogledov(req, `/api/kosi/${kos_id}/priponke/${priponka.id}/vsebina`)
+        })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke/{id}:
+ *   get:
+ *     summary: Pridobivanje podatkov o priponki z {id}
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID priponke
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjena priponka
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Priponke'
+ *       400:
+ *         description: Neustrezen format za ID kosa ali priponke
+ *       404:
+ *         description: Priponka z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', authMiddleware, dovoli('kosi:branje'), async (req, res, next) => {
+    const {kos_id, id} = req.params;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(`${PRIPONKA_SQL} WHERE p.id = ? AND p.kos_id = ?`, [id, kos_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima priponke z ID-jem '${id}'!` });
+        }
+
+        res.status(200).json({
+            ...rows[0],
+            url_predogledov: predogledi.urlPredogledov(req, `/api/kosi/${kos_id}/priponke/${id}/vsebina`)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke/{id}/vsebina:
+ *   get:
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     summary: Pridobivanje vsebine priponke (podpira glavo Range in predoglede)
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID priponke
+ *       - in: query
+ *         name: velikost
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [thumb, srednja]
+ *         description: Namesto izvirnika vrne JPEG predogled (zahteva podpisan URL iz url_predogledov ali žeton)
+ *       - in: query
+ *         name: poteka
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Čas poteka podpisanega URL-ja predogleda (Unix sekunde)
+ *       - in: query
+ *         name: podpis
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Podpis URL-ja predogleda
+ *     responses:
+ *       200:
+ *         description: Vsebina priponke
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Del vsebine priponke, določen z glavo Range
+ *       400:
+ *         description: Neustrezen format za ID kosa ali priponke ali neveljaven parameter velikost
+ *       401:
+ *         description: Predogled brez podpisanega URL-ja zahteva žeton
+ *       403:
+ *         description: Podpis URL-ja ali žeton ni veljaven ali je potekel
+ *       404:
+ *         description: Priponka ne obstaja ali predogled zanjo ni na voljo
+ *       416:
+ *         description: Zahtevani razpon je izven vsebine priponke
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id/vsebina', predogledi.dovoliPredogled, async (req, res, next) => {
+    const {kos_id, id} = req.params;
+    const {velikost} = req.query;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+    if (velikost !== undefined && !predogledi.VELIKOSTI[velikost]) {
+        return res.status(400).json({
+            message: `Neveljaven parameter velikost! Dovoljene vrednosti: ${Object.keys(predogledi.VELIKOSTI).join(', ')}`
+        });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT p.tip, p.mime, p.kljuc_shrambe, p.velikost
+             FROM priponka p
+             JOIN kos k ON p.kos_id = k.id
+             WHERE p.id = ? AND p.kos_id = ? AND k.izbrisano_ob IS NULL`,
+            [id, kos_id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima priponke z ID-jem '${id}'!` });
+        }
+
+        await prenos.posljiDatoteko(req, res, rows[0], velikost);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke:
+ *   post:
+ *     summary: Dodajanje priponke kosu (fotografija, kroj v PDF, video, ...)
+ *     description: Nova priponka se doda na konec seznama.
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - datoteka
+ *             properties:
+ *               datoteka:
+ *                 type: string
+ *                 format: binary
+ *                 description: Vsebina priponke (podprti so isti formati kot pri kosih)
+ *               napis:
+ *                 type: string
+ *               glavna:
+ *                 type: boolean
+ *                 description: Priponko izberi kot glavno sliko kosa (samo za slike)
+ *     responses:
+ *       201:
+ *         description: Priponka uspešno dodana
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjka datoteka, neustrezen format za {kos_id} ali glavna priponka ni slika
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       413:
+ *         description: Datoteka je prevelika
+ *       415:
+ *         description: Nepodprt format datoteke
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('kosi:urejanje'), prenos.naloziDatoteko('datoteka'), async (req, res, next) => {
+    const {kos_id} = req.params;
+    const {napis} = req.body;
+    const glavna = preberiGlavna(req.body.glavna ?? false);
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ message: 'Manjka datoteka priponke!' });
+    }
+    if (glavna === undefined) {
+        return res.status(400).json({ message: 'Neveljavna vrednost glavna! Dovoljeni vrednosti: true, false' });
+    }
+
+    let conn;
+    let kljuc;
+    try {
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const detectedType = await tipiDatotek.preveriDatoteko(req.file.path);
+        if (detectedType.napaka) {
+            return res.status(detectedType.napaka.status).json({ message: detectedType.napaka.message });
+        }
+        if (glavna && detectedType.tip !== 'slika') {
+            return res.status(400).json({ message: 'Za glavno sliko kosa lahko izberete samo slikovno priponko!' });
+        }
+
+        kljuc = await prenos.shraniNalozeno(req.file, 'priponke', detectedType.mime);
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // zaklenemo kos, da dve hkratni nalaganji ne dobita istega mesta v vrstnem redu
+        const [kosi] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+        if (kosi.length === 0) {
+            await conn.rollback();
+            prenos.izbrisiShranjeno([kljuc]);
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const sql = `
+            INSERT INTO priponka (kos_id, napis, vrstni_red, tip, mime, kljuc_shrambe, velikost, nalozil_id)
+            SELECT ?, ?, COALESCE(MAX(vrstni_red), 0) + 1, ?, ?, ?, ?, ?
+            FROM priponka WHERE kos_id = ?
+        `;
+        const [result] = await conn.execute(sql, [
+            kos_id, napis ?? null, detectedType.tip, detectedType.mime, kljuc, req.file.size, req.user.id, kos_id
+        ]);
+
+        if (glavna) {
+            await conn.execute('UPDATE kos SET glavna_priponka_id = ? WHERE id = ?', [result.insertId, kos_id]);
+        }
+        await conn.commit();
+        kljuc = null; // datoteka zdaj pripada zapisani priponki
+
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/priponke/${result.insertId}`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Priponka uspešno dodana.',
+            url: urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        // priponka ni bila zapisana, zato ne puščamo osirotele datoteke v shrambi
+        if (kljuc) prenos.izbrisiShranjeno([kljuc]);
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke/vrstni_red:
+ *   put:
+ *     summary: Spreminjanje vrstnega reda priponk kosa
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vrstni_red
+ *             properties:
+ *               vrstni_red:
+ *                 type: array
+ *                 description: ID-ji vseh priponk kosa v želenem vrstnem redu
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 10, 11]
+ *     responses:
+ *       204:
+ *         description: Vrstni red uspešno posodobljen
+ *       400:
+ *         description: Seznam ne vsebuje natanko vseh priponk kosa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/vrstni_red', authMiddleware, dovoli('kosi:urejanje'), async (req, res, next) => {
+    const {kos_id} = req.params;
+    const {vrstni_red} = req.body;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+    if (!Array.isArray(vrstni_red) || vrstni_red.some(id => !/^\d+$/.test(String(id)))) {
+        return res.status(400).json({ message: 'vrstni_red mora biti seznam ID-jev priponk!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [kosi] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+        if (kosi.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        // seznam mora vsebovati vsako priponko kosa natanko enkrat
+        const [priponke] = await conn.execute('SELECT id FROM priponka WHERE kos_id = ?', [kos_id]);
+        const obstojece = new Set(priponke.map(p => p.id));
+        const poslane = new Set(vrstni_red.map(id => parseInt(id)));
+        if (poslane.size !== vrstni_red.length || poslane.size !== obstojece.size || [...poslane].some(id => !obstojece.has(id))) {
+            await conn.rollback();
+            return res.status(400).json({ message: 'vrstni_red mora vsebovati vse priponke kosa, vsako natanko enkrat!' });
+        }
+
+        for (const [i, id] of [...poslane].entries()) {
+            await conn.execute('UPDATE priponka SET vrstni_red = ? WHERE id = ?', [i + 1, id]);
+        }
+        await conn.commit();
+
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke/{id}:
+ *   put:
+ *     summary: Posodabljanje napisa priponke ali izbira glavne slike kosa
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID priponke
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               napis:
+ *                 type: string
+ *                 nullable: true
+ *               glavna:
+ *                 type: boolean
+ *                 description: true izbere priponko za glavno sliko kosa, false izbiro odstrani
+ *     responses:
+ *       204:
+ *         description: Priponka uspešno posodobljena
+ *       400:
+ *         description: Ni podatkov za posodobitev ali glavna priponka ni slika
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Priponka z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.put('/:id', authMiddleware, dovoli('kosi:urejanje'), async (req, res, next) => {
+    const {kos_id, id} = req.params;
+    const {napis} = req.body;
+    const glavna = preberiGlavna(req.body.glavna);
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+    if (req.body.glavna !== undefined && glavna === undefined) {
+        return res.status(400).json({ message: 'Neveljavna vrednost glavna! Dovoljeni vrednosti: true, false' });
+    }
+    if (napis === undefined && glavna === undefined) {
+        return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+    }
+
+    let conn;
+    try {
+        const [rows] = await pool.execute(`SELECT p.tip FROM priponka p JOIN kos k ON p.kos_id = k.id WHERE p.id = ? AND p.kos_id = ? AND k.izbrisano_ob IS NULL`, [id, kos_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima priponke z ID-jem '${id}'!` });
+        }
+        if (glavna && rows[0].tip !== 'slika') {
+            return res.status(400).json({ message: 'Za glavno sliko kosa lahko izberete samo slikovno priponko!' });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        if (napis !== undefined) {
+            await conn.execute('UPDATE priponka SET napis = ? WHERE id = ?', [napis === '' ? null : napis, id]);
+        }
+        if (glavna === true) {
+            await conn.execute('UPDATE kos SET glavna_priponka_id = ? WHERE id = ?', [id, kos_id]);
+        }
+        if (glavna === false) {
+            await conn.execute('UPDATE kos SET glavna_priponka_id = NULL WHERE id = ? AND glavna_priponka_id = ?', [kos_id, id]);
+        }
+        await conn.commit();
+
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/priponke/{id}:
+ *   delete:
+ *     summary: Brisanje priponke z {id}
+ *     description: Če je bila priponka glavna slika kosa, kos ostane brez glavne slike.
+ *     tags: [Priponke]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID priponke
+ *     responses:
+ *       204:
+ *         description: Priponka uspešno izbrisana
+ *       400:
+ *         description: Neustrezen format za ID kosa ali priponke
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Priponka z vpisanim {id} ne obstaja na kosu z vpisanim {kos_id}
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.delete('/:id', authMiddleware, dovoli('kosi:urejanje'), async (req, res, next) => {
+    const {kos_id, id} = req.params;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'ID mora biti številka!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(`SELECT p.kljuc_shrambe FROM priponka p JOIN kos k ON p.kos_id = k.id WHERE p.id = ? AND p.kos_id = ? AND k.izbrisano_ob IS NULL`, [id, kos_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima priponke z ID-jem '${id}'!` });
+        }
+
+        // kos.glavna_priponka_id se nastavi na NULL s tujim ključem (ON DELETE SET NULL)
+        const [result] = await pool.execute('DELETE FROM priponka WHERE id = ?', [id]);
+
+        if (result.affectedRows === 1) {
+            prenos.izbrisiShranjeno([rows[0].kljuc_shrambe]);
+            return res.status(204).send();
+        }
+        throw new Error('Brisanje priponke ni bilo uspešno!');
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
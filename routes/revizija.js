@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const paginacija = require('../utils/paginacija.js');
+const revizija = require('../utils/revizija.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Revizija:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         uporabnik_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Avtor spremembe (null, če je bil uporabnik izbrisan ali je spremembo naredil sistem)
+ *         uporabnisko_ime:
+ *           type: string
+ *           nullable: true
+ *         dejanje:
+ *           type: string
+ *           enum: [ustvarjanje, urejanje, brisanje, dodajanje_labele, odstranjevanje_labele, obnovitev, trajno_brisanje, zdruzevanje_label]
+ *           description: brisanje premakne v smeti, trajno_brisanje izbriše iz smeti, zdruzevanje_label zajame kose, podrejene in združeno labelo
+ *         entiteta:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *         entiteta_id:
+ *           type: integer
+ *         prej:
+ *           type: object
+ *           nullable: true
+ *           description: Stanje entitete pred spremembo (null pri ustvarjanju)
+ *         potem:
+ *           type: object
+ *           nullable: true
+ *           description: Stanje entitete po spremembi (null po trajnem brisanju in za labelo, združeno v drugo)
+ *         ustvarjeno_ob:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/revizija:
+ *   get:
+ *     summary: Pridobivanje revizijske sledi sprememb kosov, label in komentarjev
+ *     description: Vnosi so urejeni od najnovejšega. X-Total-Count in Link glavi opisujeta paginacijo.
+ *     tags: [Revizija]
+ *     parameters:
+ *       - in: query
+ *         name: uporabnik_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Samo spremembe tega uporabnika
+ *       - in: query
+ *         name: entiteta
+ *         schema:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *         required: false
+ *       - in: query
+ *         name: entiteta_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Samo spremembe entitete s tem ID-jem (skupaj z entiteta)
+ *       - in: query
+ *         name: od
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Vrne spremembe na ta datum ali kasneje
+ *       - in: query
+ *         name: do
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Vrne spremembe na ta datum ali prej
+ *       - in: query
+ *         name: stran
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         required: false
+ *       - in: query
+ *         name: na_stran
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjena revizijska sled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Revizija'
+ *       400:
+ *         description: Neveljaven filter ali parameter paginacije
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('revizija:branje'), async (req, res, next) => {
+    const {uporabnik_id, entiteta, entiteta_id, od, do: doDatuma} = req.query;
+
+    const pogoji = [];
+    const params = [];
+
+    if (uporabnik_id !== undefined) {
+        if (!/^\d+$/.test(uporabnik_id)) {
+            return res.status(400).json({ message: 'Neustrezen format za ID uporabnika!' });
+        }
+        pogoji.push('r.uporabnik_id = ?');
+        params.push(uporabnik_id);
+    }
+
+    if (entiteta !== undefined) {
+        if (!revizija.ENTITETE.includes(entiteta)) {
+            return res.status(400).json({ message: `Neveljaven parameter entiteta! Dovoljene vrednosti: ${revizija.ENTITETE.join(', ')}` });
+        }
+        pogoji.push('r.entiteta = ?');
+        params.push(entiteta);
+    }
+
+    if (entiteta_id !== undefined) {
+        if (entiteta === undefined) {
+            return res.status(400).json({ message: 'Parameter entiteta_id zahteva tudi parameter entiteta!' });
+        }
+        if (!/^\d+$/.test(entiteta_id)) {
+            return res.status(400).json({ message: 'Neustrezen format za ID entitete!' });
+        }
+        pogoji.push('r.entiteta_id = ?');
+        params.push(entiteta_id);
+    }
+
+    if (od !== undefined) {
+        if (!utils.veljavenDatum(od)) {
+            return res.status(400).json({ message: 'Parameter od mora biti datum v obliki YYYY-MM-DD!' });
+        }
+        pogoji.push('r.ustvarjeno_ob >= ?');
+        params.push(od);
+    }
+    if (doDatuma !== undefined) {
+        if (!utils.veljavenDatum(doDatuma)) {
+            return res.status(400).json({ message: 'Parameter do mora biti datum v obliki YYYY-MM-DD!' });
+        }
+        // do je vključujoč, zato primerjamo z začetkom naslednjega dne
+        pogoji.push('r.ustvarjeno_ob < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(doDatuma);
+    }
+
+    const stran = paginacija.preberiStran(req.query);
+    if (stran.napaka) {
+        return res.status(400).json({ message: stran.napaka });
+    }
+
+    try {
+        const where = pogoji.length > 0 ? ` WHERE ${pogoji.join(' AND ')}` : '';
+
+        const [skupaj] = await pool.execute(`SELECT COUNT(*) AS skupaj FROM revizija r${where}`, params);
+
+        const sql = `
+            SELECT
+                r.id,
+                r.uporabnik_id,
+                u.uporabnisko_ime,
+                r.dejanje,
+                r.entiteta,
+                r.entiteta_id,
+                r.prej,
+                r.potem,
+                r.ustvarjeno_ob
+            FROM revizija r
+            LEFT JOIN uporabnik u ON r.uporabnik_id = u.id
+            ${where}
+            ORDER BY r.id DESC
+            ${paginacija.limitSql(stran)}
+        `;
+        const [rows] = await pool.execute(sql, params);
+
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
+        res.status(200).json(rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
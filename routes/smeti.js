@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const paginacija = require('../utils/paginacija.js');
+const prenos = require('../utils/prenos.js');
+const smeti = require('../utils/smeti.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const ENTITETE = Object.keys(smeti.ENTITETE);
+
+// preveri :entiteta in :id; vrne sporočilo za odgovor 400 ali null
+function preveriPredmet({ entiteta, id }) {
+    if (!ENTITETE.includes(entiteta)) {
+        return `Neveljavna entiteta! Dovoljene vrednosti: ${ENTITETE.join(', ')}`;
+    }
+    if (!/^\d+$/.test(id)) {
+        return 'Neustrezen format za ID!';
+    }
+    return null;
+}
+
+function niVSmeteh({ entiteta, id }) {
+    return `${smeti.ENTITETE[entiteta].naziv} z ID-jem '${id}' ni v smeteh!`;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Smeti:
+ *       type: object
+ *       properties:
+ *         entiteta:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *         id:
+ *           type: integer
+ *         opis:
+ *           type: string
+ *           description: Ime kosa, naziv labele ali besedilo komentarja
+ *         kos_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Kos, ki mu pripada komentar
+ *         izbrisano_ob:
+ *           type: string
+ *           format: date-time
+ *         izbrisano_od:
+ *           type: integer
+ *           nullable: true
+ *         izbrisal:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je predmet izbrisal
+ *         trajno_izbrisano_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Kdaj bo predmet samodejno trajno izbrisan (null, če je samodejno praznjenje izklopljeno)
+ */
+
+/**
+ * @swagger
+ * /api/smeti:
+ *   get:
+ *     summary: Pridobivanje izbrisanih kosov, label in komentarjev
+ *     description: |
+ *       Predmeti so urejeni od nazadnje izbrisanega. Po SMETI_HRAMBA_DNI dneh (privzeto 30)
+ *       se samodejno trajno izbrišejo. X-Total-Count in Link glavi opisujeta paginacijo.
+ *     tags: [Smeti]
+ *     parameters:
+ *       - in: query
+ *         name: entiteta
+ *         schema:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *         required: false
+ *       - in: query
+ *         name: stran
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         required: false
+ *       - in: query
+ *         name: na_stran
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen seznam predmetov v smeteh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Smeti'
+ *       400:
+ *         description: Neveljaven parameter entiteta ali parameter paginacije
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('smeti:upravljanje'), async (req, res, next) => {
+    const {entiteta} = req.query;
+
+    if (entiteta !== undefined && !ENTITETE.includes(entiteta)) {
+        return res.status(400).json({ message: `Neveljaven parameter entiteta! Dovoljene vrednosti: ${ENTITETE.join(', ')}` });
+    }
+    const stran = paginacija.preberiStran(req.query);
+    if (stran.napaka) {
+        return res.status(400).json({ message: stran.napaka });
+    }
+
+    try {
+        // imena entitet in stolpcev so iz smeti.ENTITETE, ne iz zahteve
+        const unija = (entiteta ? [entiteta] : ENTITETE)
+            .map(e => {
+                const { tabela, opis, kos_id } = smeti.ENTITETE[e];
+                return `
+                    SELECT '${e}' AS entiteta, id, ${opis} AS opis, ${kos_id} AS kos_id, izbrisano_ob, izbrisano_od
+                    FROM ${tabela}
+                    WHERE izbrisano_ob IS NOT NULL
+                `;
+            })
+            .join(' UNION ALL ');
+
+        const [skupaj] = await pool.execute(`SELECT COUNT(*) AS skupaj FROM (${unija}) s`);
+
+        const sql = `
+            SELECT s.*, u.uporabnisko_ime AS izbrisal
+            FROM (${unija}) s
+            LEFT JOIN uporabnik u ON s.izbrisano_od = u.id
+            ORDER BY s.izbrisano_ob DESC, s.entiteta, s.id DESC
+            ${paginacija.limitSql(stran)}
+        `;
+        const [rows] = await pool.execute(sql);
+
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
+        res.status(200).json(rows.map(r => ({ ...r, trajno_izbrisano_ob: smeti.trajnoIzbrisanoOb(r.izbrisano_ob) })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/smeti/{entiteta}/{id}/obnovitev:
+ *   post:
+ *     summary: Obnovitev kosa, labele ali komentarja iz smeti
+ *     description: Obnovljen kos ima spet svoje datoteke, labele in komentarje.
+ *     tags: [Smeti]
+ *     parameters:
+ *       - in: path
+ *         name: entiteta
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Predmet je obnovljen; URL vira je v glavi Location in v polju url
+ *       400:
+ *         description: Neveljavna entiteta ali neustrezen format za {id}
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Predmet z vpisanim {id} ni v smeteh
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:entiteta/:id/obnovitev', authMiddleware, dovoli('smeti:upravljanje'), async (req, res, next) => {
+    const napaka = preveriPredmet(req.params);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+    const {entiteta, id} = req.params;
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const pot = await smeti.obnovi(conn, entiteta, id, req.user.id);
+        if (!pot) {
+            await conn.rollback();
+            return res.status(404).json({ message: niVSmeteh(req.params) });
+        }
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, pot);
+        res.location(urlVira);
+        return res.status(200).json({
+            message: 'Predmet uspešno obnovljen iz smeti.',
+            url: urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/smeti/{entiteta}/{id}:
+ *   delete:
+ *     summary: Trajno brisanje kosa, labele ali komentarja iz smeti
+ *     description: |
+ *       Trajno izbrisan kos odnese s seboj datoteke, verzije, priponke, komentarje in povezave z labelami.
+ *       Labele, ki je na kakšnem kosu zunaj smeti, ni mogoče trajno izbrisati.
+ *     tags: [Smeti]
+ *     parameters:
+ *       - in: path
+ *         name: entiteta
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [kos, labela, komentar]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Predmet je trajno izbrisan
+ *       400:
+ *         description: Neveljavna entiteta ali neustrezen format za {id}
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Predmet z vpisanim {id} ni v smeteh
+ *       409:
+ *         description: Labela je povezana s kosom zunaj smeti
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.delete('/:entiteta/:id', authMiddleware, dovoli('smeti:upravljanje'), async (req, res, next) => {
+    const napaka = preveriPredmet(req.params);
+    if (napaka) {
+        return res.status(400).json({ message: napaka });
+    }
+    const {entiteta, id} = req.params;
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const rezultat = await smeti.trajnoIzbrisi(conn, entiteta, id, req.user.id);
+        if (!rezultat) {
+            await conn.rollback();
+            return res.status(404).json({ message: niVSmeteh(req.params) });
+        }
+        if (rezultat.napaka) {
+            await conn.rollback();
+            return res.status(rezultat.napaka.status).json({ message: rezultat.napaka.message });
+        }
+        await conn.commit();
+
+        prenos.izbrisiShranjeno(rezultat.datoteke);
+        return res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@ const router = express.Router();
 const pool = require('../utils/db.js'); // uvozimo Connection Pool
 const utils = require('../utils/utils.js'); // uvozimo pomožne funckije
 const bcrypt = require('bcrypt'); // knjižnica za zgoščevanje gesel (hash)
-const jwt = require('jsonwebtoken');
+const zetoni = require('../utils/zetoni.js'); // izdajanje in preklic žetonov
+const authMiddleware = require('../utils/auth');
+const { TIPI_UPORABNIKOV, GARDEROBER, PLESALEC, dovoli, imaDovoljenje } = require('../utils/dovoljenja');
+
+const PROFIL_SQL = 'SELECT id, uporabnisko_ime, prikazno_ime, kontakt, tip_uporabnika FROM uporabnik';
 
 /**
  * @swagger
@@ -16,6 +20,13 @@ const jwt = require('jsonwebtoken');
  *          type: integer
  *         uporabnisko_ime:
  *           type: string
+ *         prikazno_ime:
+ *           type: string
+ *           nullable: true
+ *         kontakt:
+ *           type: string
+ *           nullable: true
+ *           description: Kontaktni podatki (e-pošta ali telefon)
  *         tip_uporabnika:
  *           type: string
  *           enum:
@@ -30,7 +41,9 @@ const jwt = require('jsonwebtoken');
  *   post:
  *     security: []
  *     summary: Dodajanje novega uporabnika => registracija
- *     description: Ustvari novega uporabnika z zgoščenim (hash) geslom.
+ *     description: |
+ *       Ustvari novega uporabnika z zgoščenim (hash) geslom. Nov uporabnik je vedno plesalec/-ka;
+ *       drugo vlogo mu lahko dodeli samo garderober/-ka (PUT /api/uporabniki/{uporabnisko_ime}).
  *     tags: [Uporabniki]
  *     requestBody:
  *       required: true
@@ -43,12 +56,6 @@ const jwt = require('jsonwebtoken');
  *                 type: string
  *               geslo:
  *                 type: string
- *               tip_uporabnika:
- *                 type: string
- *                 enum:
- *                   - garderober/-ka
- *                   - plesalec/-ka
- *                   - glasbenik/-ca
  *     responses:
  *       201:
  *         description: Uporabnik uspešno dodan
@@ -69,9 +76,9 @@ const jwt = require('jsonwebtoken');
  *         description: Napaka pri dodajanju uporabnika
  */
 router.post('/', async (req, res, next) => {
-    const {uporabnisko_ime, geslo, tip_uporabnika} = req.body;
+    const {uporabnisko_ime, geslo} = req.body;
     
-    if(!uporabnisko_ime || !geslo || !tip_uporabnika){
+    if(!uporabnisko_ime || !geslo){
         return res.status(400).json({message: 'Manjkajo podatki za registracijo!'})
     }
 
@@ -83,7 +90,8 @@ router.post('/', async (req, res, next) => {
         const hashed_geslo = await bcrypt.hash(geslo, 10); //geslo je hash od gesla
 
         const sql = 'INSERT INTO uporabnik (uporabnisko_ime, geslo, tip_uporabnika) VALUES (?, ?, ?)';
-        const [result] = await pool.execute(sql, [uporabnisko_ime, hashed_geslo, tip_uporabnika]);
+        // vloge s pravicami dodeljuje samo garderober/-ka, zato se vsak registrira brez njih
+        const [result] = await pool.execute(sql, [uporabnisko_ime, hashed_geslo, PLESALEC]);
 
         if (result.affectedRows === 1) {
             const urlVira = utils.urlVira(req, `/api/uporabniki/${uporabnisko_ime}`);
@@ -108,7 +116,7 @@ router.post('/', async (req, res, next) => {
  *   post:
  *     security: []
  *     summary: Prijava uporabnika
- *     description: Preveri uporabniško ime in geslo ter vrne JWT žeton.
+ *     description: Preveri uporabniško ime in geslo ter vrne JWT žeton in osvežilni žeton.
  *     tags: [Uporabniki]
  *     requestBody:
  *       required: true
@@ -136,7 +144,10 @@ router.post('/', async (req, res, next) => {
  *                   type: string
  *                 token:
  *                   type: string
- *                   description: JWT žeton za avtentikacijo
+ *                   description: JWT žeton za avtentikacijo (velja 1 uro)
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Osvežilni žeton za pridobitev novega JWT žetona (velja 30 dni)
  *                 uporabnisko_ime:
  *                   type: string
  *       400:
@@ -167,20 +178,473 @@ router.post('/prijava', async (req, res, next) => {
             return res.status(401).json({message: 'Uporabnik z vpisanim uporabniškim imenom ne obstaja ali pa kombinacija uporabniškega imena in gesla ni pravilna!'})
         } 
         
-        const token = jwt.sign(
-            {
-                id: uporabnik.id,
-                uporabnisko_ime: uporabnik.uporabnisko_ime,
-                tip_uporabnika: uporabnik.tip_uporabnika
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        const {token, refresh_token} = await zetoni.izdajZetone(uporabnik);
         
-        res.status(200).json({message: 'Prijava uspešna!', token: token, uporabnisko_ime: uporabnik.uporabnisko_ime});
+        res.status(200).json({message: 'Prijava uspešna!', token: token, refresh_token: refresh_token, uporabnisko_ime: uporabnik.uporabnisko_ime});
     } catch (err) {
         next(err);
     }
 }); 
 
+/**
+ * @swagger
+ * /api/uporabniki/osvezi:
+ *   post:
+ *     security: []
+ *     summary: Osvežitev JWT žetona
+ *     description: Zamenja osvežilni žeton za nov par žetonov. Stari osvežilni žeton postane neveljaven (rotacija). Ponovna uporaba že zamenjanega žetona prekliče vse žetone uporabnika.
+ *     tags: [Uporabniki]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Žetona uspešno osvežena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       400:
+ *         description: Manjka osvežilni žeton
+ *       401:
+ *         description: Osvežilni žeton ni veljaven, je potekel ali je bil preklican
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.post('/osvezi', async (req, res, next) => {
+    const {refresh_token} = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({message: 'Manjka osvežilni žeton!'});
+    }
+
+    try {
+        const noviZetoni = await zetoni.zamenjajOsvezilniZeton(refresh_token);
+        if (!noviZetoni) {
+            return res.status(401).json({message: 'Osvežilni žeton ni veljaven ali je bil preklican!'});
+        }
+
+        res.status(200).json({message: 'Žetona uspešno osvežena!', ...noviZetoni});
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/odjava:
+ *   post:
+ *     summary: Odjava uporabnika
+ *     description: Prekliče trenutni JWT žeton in podani osvežilni žeton. Z vse_naprave=true se prekličejo vsi žetoni uporabnika.
+ *     tags: [Uporabniki]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *               vse_naprave:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       204:
+ *         description: Odjava uspešna
+ *       401:
+ *         description: Manjka žeton za avtentikacijo
+ *       403:
+ *         description: Žeton ni veljaven ali je bil preklican
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.post('/odjava', authMiddleware, async (req, res, next) => {
+    const {refresh_token, vse_naprave} = req.body;
+
+    try {
+        if (vse_naprave) {
+            await zetoni.preklicajVseZetone(req.user.id);
+        } else if (refresh_token) {
+            await zetoni.preklicajOsvezilniZeton(refresh_token, req.user.id);
+        }
+        await zetoni.preklicajDostopniZeton(req.user);
+
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/jaz:
+ *   get:
+ *     summary: Pridobivanje trenutno prijavljenega uporabnika
+ *     description: Vrne profil uporabnika, ki mu pripada poslani JWT žeton.
+ *     tags: [Uporabniki]
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen profil trenutnega uporabnika
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Uporabniki'
+ *       401:
+ *         description: Manjka žeton za avtentikacijo
+ *       403:
+ *         description: Žeton ni veljaven ali je bil preklican
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.get('/jaz', authMiddleware, async (req, res, next) => {
+    try {
+        const sql = `${PROFIL_SQL} WHERE id = ?`;
+        const [rows] = await pool.execute(sql, [req.user.id]);
+
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/{uporabnisko_ime}:
+ *   get:
+ *     summary: Pridobivanje profila uporabnika z {uporabnisko_ime}
+ *     tags: [Uporabniki]
+ *     parameters:
+ *       - in: path
+ *         name: uporabnisko_ime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Uporabniško ime
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen profil uporabnika
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Uporabniki'
+ *       404:
+ *         description: Uporabnik z vpisanim {uporabnisko_ime} ne obstaja
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.get('/:uporabnisko_ime', authMiddleware, dovoli('uporabniki:branje'), async (req, res, next) => {
+    const {uporabnisko_ime} = req.params;
+
+    try {
+        const sql = `${PROFIL_SQL} WHERE uporabnisko_ime = ?`;
+        const [rows] = await pool.execute(sql, [uporabnisko_ime]);
+        if (rows.length === 0) {
+            return res.status(404).json({message: `Uporabnik '${uporabnisko_ime}' ne obstaja!`});
+        }
+
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/{uporabnisko_ime}:
+ *   put:
+ *     summary: Posodabljanje profila uporabnika z {uporabnisko_ime}
+ *     description: Uporabnik lahko ureja svoj profil, garderober/-ka pa vse profile. Tip uporabnika lahko spremeni samo garderober/-ka.
+ *     tags: [Uporabniki]
+ *     parameters:
+ *       - in: path
+ *         name: uporabnisko_ime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Uporabniško ime
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prikazno_ime:
+ *                 type: string
+ *               kontakt:
+ *                 type: string
+ *               tip_uporabnika:
+ *                 $ref: '#/components/schemas/Uporabniki/properties/tip_uporabnika'
+ *     responses:
+ *       204:
+ *         description: Profil uspešno posodobljen
+ *       400:
+ *         description: Ni podatkov za posodobitev, prikazno ime ali kontakt ni besedilo ali tip uporabnika ni pravilen
+ *       403:
+ *         description: Uporabnik nima dovoljenja za urejanje tega profila ali spreminjanje tipa uporabnika
+ *       404:
+ *         description: Uporabnik z vpisanim {uporabnisko_ime} ne obstaja
+ *       409:
+ *         description: Skupina mora imeti vsaj enega garderoberja
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.put('/:uporabnisko_ime', authMiddleware, async (req, res, next) => {
+    const {uporabnisko_ime} = req.params;
+    const {prikazno_ime, kontakt, tip_uporabnika} = req.body;
+
+    // null (ali prazen niz) izbriše vrednost
+    if (prikazno_ime !== undefined && prikazno_ime !== null && typeof prikazno_ime !== 'string') {
+        return res.status(400).json({message: 'Prikazno ime mora biti besedilo!'});
+    }
+    if (kontakt !== undefined && kontakt !== null && typeof kontakt !== 'string') {
+        return res.status(400).json({message: 'Kontakt mora biti besedilo!'});
+    }
+
+    try {
+        const [rows] = await pool.execute('SELECT id, tip_uporabnika FROM uporabnik WHERE uporabnisko_ime = ?', [uporabnisko_ime]);
+        const uporabnik = rows[0];
+        if (!uporabnik) {
+            return res.status(404).json({message: `Uporabnik '${uporabnisko_ime}' ne obstaja!`});
+        }
+
+        if (uporabnik.id !== req.user.id && !imaDovoljenje(req.user, 'uporabniki:urejanje')) {
+            return res.status(403).json({message: 'Urejate lahko samo svoj profil!'});
+        }
+
+        // Gradimo dinamični SQL glede na poslana polja
+        const updates = [];
+        const params = [];
+
+        if (prikazno_ime !== undefined) {
+            updates.push('prikazno_ime = ?');
+            params.push(prikazno_ime === null || prikazno_ime.trim() === '' ? null : prikazno_ime.trim());
+        }
+
+        if (kontakt !== undefined) {
+            updates.push('kontakt = ?');
+            params.push(kontakt === null || kontakt.trim() === '' ? null : kontakt.trim());
+        }
+
+        if (tip_uporabnika !== undefined && tip_uporabnika !== uporabnik.tip_uporabnika) {
+            if (!imaDovoljenje(req.user, 'uporabniki:spreminjanje_vloge')) {
+                return res.status(403).json({message: 'Nimate dovoljenja za spreminjanje tipa uporabnika!'});
+            }
+            if (!TIPI_UPORABNIKOV.includes(tip_uporabnika)) {
+                return res.status(400).json({
+                    message: `Neveljaven tip uporabnika! Dovoljeni tipi: ${TIPI_UPORABNIKOV.join(', ')}`
+                });
+            }
+            if (uporabnik.tip_uporabnika === GARDEROBER) {
+                const [garderoberji] = await pool.execute('SELECT COUNT(*) AS st FROM uporabnik WHERE tip_uporabnika = ?', [GARDEROBER]);
+                if (garderoberji[0].st <= 1) {
+                    return res.status(409).json({message: 'Skupina mora imeti vsaj enega garderoberja!'});
+                }
+            }
+            updates.push('tip_uporabnika = ?');
+            params.push(tip_uporabnika);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ message: 'Ni podatkov za posodobitev!' });
+        }
+
+        params.push(uporabnik.id); // id za WHERE
+
+        const sql = `UPDATE uporabnik SET ${updates.join(', ')} WHERE id = ?`;
+        const [result] = await pool.execute(sql, params);
+
+        if (result.affectedRows === 1) {
+            return res.status(204).send();
+        }
+        throw new Error('Posodabljanje profila ni bilo uspešno!');
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/{uporabnisko_ime}/geslo:
+ *   put:
+ *     summary: Sprememba gesla
+ *     description: Uporabnik lahko spremeni samo svoje geslo. Ob spremembi se prekličejo vsi njegovi žetoni, zato se mora ponovno prijaviti.
+ *     tags: [Uporabniki]
+ *     parameters:
+ *       - in: path
+ *         name: uporabnisko_ime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Uporabniško ime
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staro_geslo
+ *               - novo_geslo
+ *             properties:
+ *               staro_geslo:
+ *                 type: string
+ *               novo_geslo:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Geslo uspešno spremenjeno
+ *       400:
+ *         description: Manjkajo podatki za spremembo gesla
+ *       403:
+ *         description: Staro geslo ni pravilno ali uporabnik spreminja tuje geslo
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.put('/:uporabnisko_ime/geslo', authMiddleware, async (req, res, next) => {
+    const {uporabnisko_ime} = req.params;
+    const {staro_geslo, novo_geslo} = req.body;
+
+    if (uporabnisko_ime !== req.user.uporabnisko_ime) {
+        return res.status(403).json({message: 'Spremenite lahko samo svoje geslo!'});
+    }
+    if (!staro_geslo || !novo_geslo) {
+        return res.status(400).json({message: 'Manjkajo podatki za spremembo gesla!'});
+    }
+
+    try {
+        const [rows] = await pool.execute('SELECT geslo FROM uporabnik WHERE id = ?', [req.user.id]);
+
+        const gesloSeUjema = await bcrypt.compare(staro_geslo, rows[0].geslo);
+        if (!gesloSeUjema) {
+            return res.status(403).json({message: 'Staro geslo ni pravilno!'});
+        }
+
+        const hashed_geslo = await bcrypt.hash(novo_geslo, 10);
+        await pool.execute('UPDATE uporabnik SET geslo = ? WHERE id = ?', [hashed_geslo, req.user.id]);
+        await zetoni.preklicajVseZetone(req.user.id);
+
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uporabniki/{uporabnisko_ime}:
+ *   delete:
+ *     summary: Brisanje lastnega uporabniškega računa
+ *     description: Komentarji uporabnika ostanejo, vendar postanejo anonimni. Za potrditev je potrebno geslo.
+ *     tags: [Uporabniki]
+ *     parameters:
+ *       - in: path
+ *         name: uporabnisko_ime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Uporabniško ime
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - geslo
+ *             properties:
+ *               geslo:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Račun uspešno izbrisan
+ *       400:
+ *         description: Manjka geslo za potrditev
+ *       403:
+ *         description: Geslo ni pravilno ali uporabnik briše tuj račun
+ *       409:
+ *         description: Skupina mora imeti vsaj enega garderoberja ali uporabnik ima izposojene kose
+ *       500:
+ *         description: Napaka strežnika
+ */
+router.delete('/:uporabnisko_ime', authMiddleware, async (req, res, next) => {
+    const {uporabnisko_ime} = req.params;
+    const {geslo} = req.body;
+
+    if (uporabnisko_ime !== req.user.uporabnisko_ime) {
+        return res.status(403).json({message: 'Izbrišete lahko samo svoj račun!'});
+    }
+    if (!geslo) {
+        return res.status(400).json({message: 'Manjka geslo za potrditev brisanja računa!'});
+    }
+
+    let conn;
+    try {
+        const [rows] = await pool.execute('SELECT geslo, tip_uporabnika FROM uporabnik WHERE id = ?', [req.user.id]);
+        const uporabnik = rows[0];
+
+        const gesloSeUjema = await bcrypt.compare(geslo, uporabnik.geslo);
+        if (!gesloSeUjema) {
+            return res.status(403).json({message: 'Geslo ni pravilno!'});
+        }
+
+        if (uporabnik.tip_uporabnika === GARDEROBER) {
+            const [garderoberji] = await pool.execute('SELECT COUNT(*) AS st FROM uporabnik WHERE tip_uporabnika = ?', [GARDEROBER]);
+            if (garderoberji[0].st <= 1) {
+                return res.status(409).json({message: 'Skupina mora imeti vsaj enega garderoberja!'});
+            }
+        }
+
+        const [izposoje] = await pool.execute('SELECT id FROM izposoja WHERE uporabnik_id = ? AND vrnjeno_ob IS NULL', [req.user.id]);
+        if (izposoje.length > 0) {
+            return res.status(409).json({message: 'Pred brisanjem računa morate vrniti vse izposojene kose!'});
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // zgodovina izposoj ostane, le brez uporabnika
+        await conn.execute('UPDATE izposoja SET uporabnik_id = NULL WHERE uporabnik_id = ?', [req.user.id]);
+        await conn.execute('UPDATE izposoja SET izposodil_id = NULL WHERE izposodil_id = ?', [req.user.id]);
+        await conn.execute('UPDATE izposoja SET prejel_id = NULL WHERE prejel_id = ?', [req.user.id]);
+
+        // komentarji ostanejo v nitih, le brez avtorja
+        await conn.execute('UPDATE komentar SET uporabnik_id = NULL WHERE uporabnik_id = ?', [req.user.id]);
+        await conn.execute('UPDATE komentar SET urejeno_od = NULL WHERE urejeno_od = ?', [req.user.id]);
+        await conn.execute('UPDATE komentar SET izbrisano_od = NULL WHERE izbrisano_od = ?', [req.user.id]);
+
+        // kosi in priponke ostanejo, le brez podatka o tem, kdo jih je naložil
+        await conn.execute('UPDATE kos SET nalozil_id = NULL WHERE nalozil_id = ?', [req.user.id]);
+        await conn.execute('UPDATE priponka SET nalozil_id = NULL WHERE nalozil_id = ?', [req.user.id]);
+        await conn.execute('DELETE FROM nastop_kos WHERE uporabnik_id = ?', [req.user.id]);
+        await conn.execute('DELETE FROM nastop_plesalec WHERE uporabnik_id = ?', [req.user.id]);
+        await conn.execute('DELETE FROM osvezilni_zeton WHERE uporabnik_id = ?', [req.user.id]);
+        await conn.execute('DELETE FROM uporabnik WHERE id = ?', [req.user.id]);
+
+        await conn.commit();
+        res.status(204).send();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
 module.exports = router;
\ No newline at end of file
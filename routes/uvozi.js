@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const prenos = require('../utils/prenos.js');
+const paginacija = require('../utils/paginacija.js');
+const uvozi = require('../utils/uvozi.js');
+const tipiDatotek = require('../utils/tipiDatotek.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const UVOZ_SQL = `
+    SELECT
+        v.id,
+        v.ime_datoteke,
+        v.stanje,
+        v.zacel_id,
+        u.uporabnisko_ime AS zacel,
+        v.ustvarjeno_ob,
+        v.zaceto_ob,
+        v.koncano_ob,
+        v.skupaj,
+        v.ustvarjenih,
+        v.preskocenih,
+        v.zavrnjenih,
+        v.napaka
+    FROM uvoz v
+    LEFT JOIN uporabnik u ON v.zacel_id = u.id
+`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Uvozi:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ime_datoteke:
+ *           type: string
+ *           description: Ime naloženega arhiva
+ *         stanje:
+ *           type: string
+ *           enum:
+ *             - cakajoce
+ *             - v_teku
+ *             - koncano
+ *             - napaka
+ *         zacel_id:
+ *           type: integer
+ *           nullable: true
+ *         zacel:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je začel uvoz
+ *         ustvarjeno_ob:
+ *           type: string
+ *           format: date-time
+ *         zaceto_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         koncano_ob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         skupaj:
+ *           type: integer
+ *           nullable: true
+ *           description: Število vrstic v manifestu
+ *         ustvarjenih:
+ *           type: integer
+ *         preskocenih:
+ *           type: integer
+ *         zavrnjenih:
+ *           type: integer
+ *         napaka:
+ *           type: string
+ *           nullable: true
+ *           description: Razlog, zakaj uvoz kot celota ni uspel (npr. manjka manifest)
+ *     UvozPorocilo:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Uvozi'
+ *         - type: object
+ *           properties:
+ *             porocilo:
+ *               type: array
+ *               nullable: true
+ *               description: Izid vsake vrstice manifesta (na voljo, ko je uvoz končan)
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   vrstica:
+ *                     type: integer
+ *                   datoteka:
+ *                     type: string
+ *                   ime:
+ *                     type: string
+ *                   izid:
+ *                     type: string
+ *                     enum:
+ *                       - ustvarjen
+ *                       - preskocen
+ *                       - zavrnjen
+ *                   razlog:
+ *                     type: string
+ *                   kos_id:
+ *                     type: integer
+ */
+
+/**
+ * @swagger
+ * /api/uvozi:
+ *   get:
+ *     summary: Pridobivanje uvozov (najnovejši najprej)
+ *     tags: [Uvozi]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Stran'
+ *       - $ref: '#/components/parameters/NaStran'
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjena stran uvozov
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Uvozi'
+ *       400:
+ *         description: Neveljaven parameter za ostranjevanje
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('uvozi:upravljanje'), async (req, res, next) => {
+    try {
+        const stran = paginacija.preberiStran(req.query);
+        if (stran.napaka) {
+            return res.status(400).json({ message: stran.napaka });
+        }
+
+        const [skupaj] = await pool.execute('SELECT COUNT(*) AS skupaj FROM uvoz');
+        const [rows] = await pool.execute(`${UVOZ_SQL} ORDER BY v.id DESC ${paginacija.limitSql(stran)}`);
+
+        paginacija.nastaviGlaveStrani(req, res, stran, skupaj[0].skupaj);
+        res.status(200).json(rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uvozi/{id}:
+ *   get:
+ *     summary: Stanje in poročilo uvoza z {id}
+ *     tags: [Uvozi]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID uvoza
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjen uvoz s poročilom
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UvozPorocilo'
+ *       400:
+ *         description: Neustrezen format za {id}
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Uvoz z vpisanim {id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:id', authMiddleware, dovoli('uvozi:upravljanje'), async (req, res, next) => {
+    const {id} = req.params;
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID uvoza!' });
+    }
+
+    try {
+        const [rows] = await pool.execute(`${UVOZ_SQL} WHERE v.id = ?`, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Uvoz z ID-jem '${id}' ne obstaja!` });
+        }
+
+        // poročilo je lahko veliko, zato ga ne beremo v seznamu uvozov
+        const [porocila] = await pool.execute('SELECT porocilo FROM uvoz WHERE id = ?', [id]);
+        res.status(200).json({ ...rows[0], porocilo: porocila[0].porocilo });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/uvozi:
+ *   post:
+ *     summary: Množični uvoz kosov iz ZIP arhiva
+ *     description: |
+ *       Arhiv mora v korenu vsebovati manifest.csv ali manifest.json.
+ *       CSV ima stolpce datoteka, ime, tip (neobvezen) in labele (nazivi, ločeni s podpičjem;
+ *       pred naziv lahko dodamo tip labele, npr. "pokrajina:Prekmurje;velikost:M").
+ *       JSON je seznam objektov z enakimi polji, labele so seznam nazivov.
+ *       Manjkajoče labele se ustvarijo (brez navedenega tipa s tipom drugo). Vrstica z labelo, ki je v smeteh, je zavrnjena.
+ *       Uvoz teče v ozadju; napredek in poročilo po vrsticah sta na naslovu iz glave Location.
+ *     tags: [Uvozi]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arhiv
+ *             properties:
+ *               arhiv:
+ *                 type: string
+ *                 format: binary
+ *                 description: ZIP arhiv z datotekami in manifestom
+ *     responses:
+ *       202:
+ *         description: Uvoz je sprejet in se izvaja v ozadju
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjka arhiv
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       413:
+ *         description: Arhiv je prevelik
+ *       415:
+ *         description: Naložena datoteka ni ZIP arhiv
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('uvozi:upravljanje'), prenos.naloziDatoteko('arhiv'), async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({ message: 'Manjka ZIP arhiv za uvoz!' });
+    }
+
+    let kljuc;
+    try {
+        const prepoznan = await tipiDatotek.prepoznajDatoteko(req.file.path);
+        if (!prepoznan || prepoznan.mime !== 'application/zip') {
+            return res.status(415).json({ message: 'Uvoz sprejme samo ZIP arhiv!' });
+        }
+
+        // arhiv shranimo v shrambo, da ga lahko uvoz po ponovnem zagonu strežnika nadaljuje
+        kljuc = await prenos.shraniNalozeno(req.file, 'uvozi', prepoznan.mime);
+
+        const sql = "INSERT INTO uvoz (ime_datoteke, stanje, zacel_id, kljuc_shrambe) VALUES (?, 'cakajoce', ?, ?)";
+        const [result] = await pool.execute(sql, [req.file.originalname, req.user.id, kljuc]);
+        kljuc = null;
+
+        uvozi.zazeniUvoz(result.insertId);
+
+        const urlVira = utils.urlVira(req, `/api/uvozi/${result.insertId}`);
+        res.location(urlVira);
+        return res.status(202).json({
+            message: 'Uvoz je sprejet in se izvaja v ozadju.',
+            url: urlVira
+        });
+    } catch (err) {
+        if (kljuc) prenos.izbrisiShranjeno([kljuc]);
+        next(err);
+    }
+});
+
+module.exports = router;
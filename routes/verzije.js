@@ -0,0 +1,438 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+// IMPORTANT: mergeParams allows access to kos_id
+const pool = require('../utils/db.js'); // uvozimo Connection Pool
+const utils = require('../utils/utils.js');
+const prenos = require('../utils/prenos.js');
+const predogledi = require('../utils/predogledi.js');
+const tipiDatotek = require('../utils/tipiDatotek.js');
+const verzije = require('../utils/verzije.js');
+const authMiddleware = require('../utils/auth');
+const { dovoli } = require('../utils/dovoljenja');
+
+const VERZIJA_SQL = `
+    SELECT
+        v.stevilka,
+        v.tip,
+        v.mime,
+        v.velikost,
+        v.nalozil_id,
+        u.uporabnisko_ime AS nalozil,
+        v.nalozeno_ob,
+        o.stevilka AS obnovljena_iz
+    FROM kos_verzija v
+    LEFT JOIN uporabnik u ON v.nalozil_id = u.id
+    LEFT JOIN kos_verzija o ON v.obnovljena_iz_id = o.id
+`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Verzije:
+ *       type: object
+ *       properties:
+ *         stevilka:
+ *           type: integer
+ *           description: Zaporedna številka verzije (od 1 naprej)
+ *         tip:
+ *           $ref: '#/components/schemas/Kosi/properties/tip'
+ *         mime:
+ *           type: string
+ *         velikost:
+ *           type: integer
+ *           nullable: true
+ *         nalozil_id:
+ *           type: integer
+ *           nullable: true
+ *         nalozil:
+ *           type: string
+ *           nullable: true
+ *           description: Uporabniško ime uporabnika, ki je verzijo naložil ali obnovil
+ *         nalozeno_ob:
+ *           type: string
+ *           format: date-time
+ *         obnovljena_iz:
+ *           type: integer
+ *           nullable: true
+ *           description: Številka verzije, iz katere je bila ta verzija obnovljena
+ *         trenutna:
+ *           type: boolean
+ *           description: Verzija je trenutna vsebina kosa
+ *         url_predogledov:
+ *           $ref: '#/components/schemas/UrlPredogledov'
+ */
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/verzije:
+ *   get:
+ *     summary: Zgodovina verzij vsebine kosa z {kos_id}
+ *     tags: [Verzije]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     responses:
+ *       200:
+ *         description: Uspešno vrnjene verzije kosa (najnovejša najprej)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Verzije'
+ *       400:
+ *         description: Neustrezen format za {kos_id}
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/', authMiddleware, dovoli('kosi:branje'), async (req, res, next) => {
+    const {kos_id} = req.params;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+
+    try {
+        if (!(await utils.kosObstaja(kos_id))) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const [rows] = await pool.execute(`${VERZIJA_SQL} WHERE v.kos_id = ? ORDER BY v.stevilka DESC`, [kos_id]);
+
+        // trenutna je vedno zadnja verzija, saj tudi obnovitev ustvari novo verzijo
+        res.status(200).json(rows.map((v, i) => ({
+            ...v,
+            trenutna: i === 0,
+            url_predogledov: predogledi.urlPredogledov(req, `/api/kosi/${kos_id}/verzije/${v.stevilka}/vsebina`)
+        })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/verzije/{stevilka}/vsebina:
+ *   get:
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     summary: Pridobivanje vsebine izbrane verzije kosa (podpira glavo Range in predoglede)
+ *     tags: [Verzije]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: stevilka
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Številka verzije
+ *       - in: query
+ *         name: velikost
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [thumb, srednja]
+ *         description: Namesto izvirnika vrne JPEG predogled (zahteva podpisan URL iz url_predogledov ali žeton)
+ *       - in: query
+ *         name: poteka
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Čas poteka podpisanega URL-ja predogleda (Unix sekunde)
+ *       - in: query
+ *         name: podpis
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Podpis URL-ja predogleda
+ *     responses:
+ *       200:
+ *         description: Vsebina verzije
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Del vsebine verzije, določen z glavo Range
+ *       400:
+ *         description: Neustrezen format za ID kosa ali številko verzije ali neveljaven parameter velikost
+ *       401:
+ *         description: Predogled brez podpisanega URL-ja zahteva žeton
+ *       403:
+ *         description: Podpis URL-ja ali žeton ni veljaven ali je potekel
+ *       404:
+ *         description: Verzija ne obstaja ali predogled zanjo ni na voljo
+ *       416:
+ *         description: Zahtevani razpon je izven vsebine verzije
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.get('/:stevilka/vsebina', predogledi.dovoliPredogled, async (req, res, next) => {
+    const {kos_id, stevilka} = req.params;
+    const {velikost} = req.query;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(stevilka)) {
+        return res.status(400).json({ message: 'ID kosa in številka verzije morata biti številki!' });
+    }
+    if (velikost !== undefined && !predogledi.VELIKOSTI[velikost]) {
+        return res.status(400).json({
+            message: `Neveljaven parameter velikost! Dovoljene vrednosti: ${Object.keys(predogledi.VELIKOSTI).join(', ')}`
+        });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT v.tip, v.mime, v.kljuc_shrambe, v.velikost
+             FROM kos_verzija v
+             JOIN kos k ON v.kos_id = k.id
+             WHERE v.kos_id = ? AND v.stevilka = ? AND k.izbrisano_ob IS NULL`,
+            [kos_id, stevilka]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima verzije ${stevilka}!` });
+        }
+
+        await prenos.posljiDatoteko(req, res, rows[0], velikost);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/verzije:
+ *   post:
+ *     summary: Nalaganje nove verzije vsebine kosa
+ *     description: Nova verzija postane trenutna vsebina kosa. Labele, komentarji in ostali podatki kosa ostanejo.
+ *     tags: [Verzije]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - datoteka
+ *             properties:
+ *               datoteka:
+ *                 type: string
+ *                 format: binary
+ *                 description: Nova vsebina kosa; biti mora istega tipa kot kos
+ *     responses:
+ *       201:
+ *         description: Nova verzija uspešno naložena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 stevilka:
+ *                   type: integer
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Manjka datoteka, neustrezen format za {kos_id} ali vsebina ne ustreza tipu kosa
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos z vpisanim {kos_id} ne obstaja
+ *       413:
+ *         description: Datoteka je prevelika
+ *       415:
+ *         description: Nepodprt tip kosa
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/', authMiddleware, dovoli('kosi:urejanje'), prenos.naloziDatoteko('datoteka'), async (req, res, next) => {
+    const {kos_id} = req.params;
+
+    if (!/^\d+$/.test(kos_id)) {
+        return res.status(400).json({ message: 'Neustrezen format za ID kosa!' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ message: 'Manjka datoteka nove verzije!' });
+    }
+
+    let conn;
+    let kljuc;
+    try {
+        const [kosi] = await pool.execute('SELECT tip FROM kos WHERE id = ? AND izbrisano_ob IS NULL', [kos_id]);
+        if (kosi.length === 0) {
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        // enaka preverjanja kot pri dodajanju kosa, tip pa mora ostati enak
+        const detectedType = await tipiDatotek.preveriDatoteko(req.file.path, kosi[0].tip);
+        if (detectedType.napaka) {
+            return res.status(detectedType.napaka.status).json({ message: detectedType.napaka.message });
+        }
+
+        kljuc = await prenos.shraniNalozeno(req.file, 'kosi', detectedType.mime);
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [zaklenjeni] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+        if (zaklenjeni.length === 0) {
+            await conn.rollback();
+            prenos.izbrisiShranjeno([kljuc]);
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        await verzije.zagotoviPrvoVerzijo(conn, kos_id);
+        const stevilka = await verzije.dodajVerzijo(conn, kos_id, {
+            tip: detectedType.tip,
+            mime: detectedType.mime,
+            kljuc_shrambe: kljuc,
+            velikost: req.file.size,
+            nalozil_id: req.user.id
+        });
+        await conn.commit();
+        kljuc = null; // datoteka zdaj pripada zapisani verziji
+
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/verzije/${stevilka}/vsebina`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: 'Nova verzija kosa uspešno naložena.',
+            stevilka,
+            url: urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        // verzija ni bila zapisana, zato ne puščamo osirotele datoteke v shrambi
+        if (kljuc) prenos.izbrisiShranjeno([kljuc]);
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/kosi/{kos_id}/verzije/{stevilka}/obnovitev:
+ *   post:
+ *     summary: Obnovitev starejše verzije kosa
+ *     description: Ustvari novo verzijo z vsebino izbrane verzije, zato se zgodovina ne izgubi.
+ *     tags: [Verzije]
+ *     parameters:
+ *       - in: path
+ *         name: kos_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID kosa
+ *       - in: path
+ *         name: stevilka
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Številka verzije, ki jo obnavljamo
+ *     responses:
+ *       201:
+ *         description: Verzija uspešno obnovljena
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 stevilka:
+ *                   type: integer
+ *                 url:
+ *                   type: string
+ *       400:
+ *         description: Neustrezen format za ID kosa ali številko verzije
+ *       403:
+ *         description: Uporabnik nima dovoljenja za to dejanje
+ *       404:
+ *         description: Kos ali verzija ne obstaja
+ *       409:
+ *         description: Izbrana verzija je že trenutna
+ *       500:
+ *         description: Notranja napaka strežnika
+ */
+router.post('/:stevilka/obnovitev', authMiddleware, dovoli('kosi:urejanje'), async (req, res, next) => {
+    const {kos_id, stevilka} = req.params;
+
+    if (!/^\d+$/.test(kos_id) || !/^\d+$/.test(stevilka)) {
+        return res.status(400).json({ message: 'ID kosa in številka verzije morata biti številki!' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [kosi] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+        if (kosi.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' ne obstaja!` });
+        }
+
+        const [rows] = await conn.execute(
+            `SELECT id, tip, mime, kljuc_shrambe, velikost,
+                stevilka = (SELECT MAX(stevilka) FROM kos_verzija WHERE kos_id = ?) AS trenutna
+             FROM kos_verzija WHERE kos_id = ? AND stevilka = ?`,
+            [kos_id, kos_id, stevilka]
+        );
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ message: `Kos z ID-jem '${kos_id}' nima verzije ${stevilka}!` });
+        }
+        const verzija = rows[0];
+        if (verzija.trenutna) {
+            await conn.rollback();
+            return res.status(409).json({ message: `Verzija ${stevilka} je že trenutna vsebina kosa!` });
+        }
+
+        // obnovljena verzija si z izvirno deli ključ v shrambi, zato vsebine ne kopiramo
+        const nova = await verzije.dodajVerzijo(conn, kos_id, {
+            tip: verzija.tip,
+            mime: verzija.mime,
+            kljuc_shrambe: verzija.kljuc_shrambe,
+            velikost: verzija.velikost,
+            nalozil_id: req.user.id,
+            obnovljena_iz_id: verzija.id
+        });
+        await conn.commit();
+
+        const urlVira = utils.urlVira(req, `/api/kosi/${kos_id}/verzije/${nova}/vsebina`);
+        res.location(urlVira);
+        return res.status(201).json({
+            message: `Verzija ${stevilka} uspešno obnovljena.`,
+            stevilka: nova,
+            url: urlVira
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        next(err);
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+module.exports = router;
@@ -21,6 +21,33 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      // skupni parametri in glave za ostranjevanje seznamov
+      parameters: {
+        Stran: {
+          in: 'query',
+          name: 'stran',
+          required: false,
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Zaporedna številka strani (od 1 naprej)',
+        },
+        NaStran: {
+          in: 'query',
+          name: 'na_stran',
+          required: false,
+          schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          description: 'Število zadetkov na stran',
+        },
+      },
+      headers: {
+        'X-Total-Count': {
+          description: 'Skupno število zadetkov (na vseh straneh)',
+          schema: { type: 'integer' },
+        },
+        Link: {
+          description: 'Povezave na prvo, prejšnjo, naslednjo in zadnjo stran (rel="first|prev|next|last")',
+          schema: { type: 'string' },
+        },
+      },
     },
 
     //GLOBALNA zaščita za vse endpoint-e
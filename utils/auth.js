@@ -1,17 +1,27 @@
 const jwt = require('jsonwebtoken');
+const zetoni = require('./zetoni.js');
 
 function authMiddleware(req, res, next) {
     const authHeader = req.headers['authorization'];
 
-    if (!authHeader) return res.sendStatus(401);
+    if (!authHeader) return res.status(401).json({ message: 'Manjka žeton za avtentikacijo!' });
 
     const token = authHeader.split(' ')[1];
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+        if (err) return res.status(403).json({ message: 'Žeton ni veljaven ali je potekel!' });
 
-        req.user = user;
-        next();
+        try {
+            // preklicani žetoni in žetoni izbrisanih uporabnikov niso več veljavni
+            const trenutni = await zetoni.preveriZeton(user);
+            if (!trenutni) return res.status(403).json({ message: 'Žeton je bil preklican!' });
+
+            // tip uporabnika vzamemo iz baze, da sprememba vloge velja takoj
+            req.user = { ...user, tip_uporabnika: trenutni.tip_uporabnika };
+            next();
+        } catch (err) {
+            next(err);
+        }
     });
 }
 
@@ -1,13 +1,20 @@
 const mysql = require('mysql2/promise');
 
+// nastavitve povezave; privzete vrednosti ustrezajo lokalni razvojni bazi
+const NASTAVITVE_BAZE = {
+    host: process.env.DB_HOST || 'localhost',
+    port: Number(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD ?? '',
+    database: process.env.DB_NAME || 'folklora_v1'
+};
+
 const pool = mysql.createPool({
-    host: 'localhost',
-    user: 'root',
-    password: '',
-    database: 'folklora_v1',
+    ...NASTAVITVE_BAZE,
     waitForConnections: true, // Če ni prostih povezav, čaka
     connectionLimit: 10,       // Maksimalno število povezav
     queueLimit: 0              // Maksimalno število čakajočih zahtev
 });
 
-module.exports = pool;
\ No newline at end of file
+module.exports = pool;
+module.exports.NASTAVITVE_BAZE = NASTAVITVE_BAZE;
@@ -0,0 +1,103 @@
+// Tipi uporabnikov, kot so shranjeni v uporabnik.tip_uporabnika (in v JWT žetonu)
+const GARDEROBER = 'garderober/-ka';
+const PLESALEC = 'plesalec/-ka';
+const GLASBENIK = 'glasbenik/-ca';
+
+const TIPI_UPORABNIKOV = [GARDEROBER, PLESALEC, GLASBENIK];
+const VSI = TIPI_UPORABNIKOV;
+
+/**
+ * Matrika dovoljenj: dejanje -> seznam tipov uporabnikov, ki ga smejo izvesti.
+ * To je edino mesto, kjer se določa, kdo sme kaj.
+ */
+const DOVOLJENJA = {
+    // kosi
+    'kosi:branje': VSI,
+    'kosi:dodajanje': [GARDEROBER],
+    'kosi:urejanje': [GARDEROBER],
+    'kosi:brisanje': [GARDEROBER],
+    'kosi:labeliranje': [GARDEROBER],
+    'kosi:izvoz': [GARDEROBER], // inventurni seznam v CSV, XLSX ali PDF
+
+    // labele
+    'labele:branje': VSI,
+    'labele:dodajanje': [GARDEROBER],
+    'labele:urejanje': [GARDEROBER],
+    'labele:brisanje': [GARDEROBER],
+
+    // komentarji
+    'komentarji:branje': VSI,
+    'komentarji:dodajanje': VSI,
+    'komentarji:urejanje': VSI,
+    'komentarji:brisanje': VSI,
+    'komentarji:moderiranje': [GARDEROBER], // urejanje in brisanje tujih komentarjev
+
+    // popravila
+    'popravila:branje': VSI,
+    'popravila:prijava': VSI,
+    'popravila:urejanje': [GARDEROBER], // spreminjanje stanja popravila
+
+    // izposoje
+    'izposoje:branje': VSI,
+    'izposoje:upravljanje': [GARDEROBER], // izposoja in vračilo kosov
+
+    // nastopi
+    'nastopi:branje': VSI,
+    'nastopi:upravljanje': [GARDEROBER], // nastopi, plesalci in dodeljevanje kosov
+
+    // uvozi
+    'uvozi:upravljanje': [GARDEROBER], // množični uvoz kosov iz arhiva
+
+    // varnostne kopije
+    'kopije:upravljanje': [GARDEROBER], // prenos celotne kopije baze in datotek
+
+    // smeti
+    'smeti:upravljanje': [GARDEROBER], // izbrisani kosi, labele in komentarji: pregled, obnova in trajno brisanje
+
+    // revizijska sled
+    'revizija:branje': [GARDEROBER], // kdo je kdaj spremenil kose, labele in komentarje
+
+    // uporabniki
+    'uporabniki:branje': VSI,
+    'uporabniki:urejanje': [GARDEROBER], // urejanje tujih profilov
+    'uporabniki:spreminjanje_vloge': [GARDEROBER]
+};
+
+/**
+ * imaDovoljenje(uporabnik, dejanje)
+ * - uporabnik je dekodiran JWT (req.user)
+ * - vrne true, če tip uporabnika sme izvesti dejanje
+ * - neznano dejanje ni dovoljeno nikomur
+ */
+function imaDovoljenje(uporabnik, dejanje) {
+    const dovoljeni = DOVOLJENJA[dejanje];
+    if (!uporabnik || !dovoljeni) return false;
+    return dovoljeni.includes(uporabnik.tip_uporabnika);
+}
+
+/**
+ * dovoli(dejanje) - middleware, ki se uporabi za authMiddleware
+ * in vrne 403, če uporabnik nima dovoljenja za dejanje.
+ */
+function dovoli(dejanje) {
+    if (!DOVOLJENJA[dejanje]) {
+        throw new Error(`Neznano dejanje '${dejanje}' v matriki dovoljenj!`);
+    }
+
+    return (req, res, next) => {
+        if (!imaDovoljenje(req.user, dejanje)) {
+            return res.status(403).json({ message: 'Nimate dovoljenja za to dejanje!' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    GARDEROBER,
+    PLESALEC,
+    GLASBENIK,
+    TIPI_UPORABNIKOV,
+    DOVOLJENJA,
+    imaDovoljenje,
+    dovoli
+};
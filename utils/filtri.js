@@ -0,0 +1,254 @@
+const popravila = require('./popravila.js');
+const { TIPI_KOSOV } = require('./tipiDatotek.js');
+
+const TIPI_LABEL = ['pokrajina', 'tip_oblacila', 'spol', 'velikost', 'drugo'];
+
+// dovoljena polja za razvrščanje kosov (uredi=ime, uredi=-datum, ...)
+const RAZVRSTITVE_KOSOV = {
+    ime: 'k.ime',
+    tip: 'k.tip',
+    datum: 'k.ustvarjeno_ob'
+};
+
+// pogoj za kos, ki ima aktivno (nevrnjeno) izposojo
+const IZPOSOJEN_SQL = 'EXISTS (SELECT 1 FROM izposoja i WHERE i.kos_id = k.id AND i.vrnjeno_ob IS NULL)';
+
+// labele kosa kot JSON seznam (NULL, če kos nima label); labele v smeteh izpustimo
+const LABELE_KOSA_SQL = `
+    (SELECT JSON_ARRAYAGG(JSON_OBJECT('id', l.id, 'naziv', l.naziv, 'tip', l.tip))
+     FROM kos_labela kl
+     JOIN labela l ON kl.labela_id = l.id
+     WHERE kl.kos_id = k.id AND l.izbrisano_ob IS NULL)
+`;
+
+const NAJVEC_LABEL_V_FILTRU = 50;
+
+/**
+ * labeleSPodrejenimiSql(mesta)
+ * - podpoizvedba, ki vrne ID-je label na mestih mesta in vseh njihovih podrejenih label v drevesu
+ * - UNION (brez ALL) ustavi rekurzijo tudi, če bi drevo imelo cikel
+ */
+function labeleSPodrejenimiSql(mesta) {
+    return `
+        WITH RECURSIVE podrejene AS (
+            SELECT id FROM labela WHERE id IN (${mesta})
+            UNION
+            SELECT l.id FROM labela l JOIN podrejene p ON l.nadrejena_id = p.id
+        )
+        SELECT id FROM podrejene
+    `;
+}
+
+/**
+ * razcleniLabele(niz)
+ * Razčleni izraz za filtriranje po labelah:
+ * - vejica loči pogoje, ki morajo veljati vsi (AND): "3,12"
+ * - navpičnica znotraj pogoja pomeni ALI (OR): "3|7"
+ * - klicaj pred pogojem ga zanika (kos nima nobene od label): "!5" ali "!5|6"
+ * Primer: "3|7,12,!5" => (3 ALI 7) IN 12 IN NE 5
+ * Vrne { pogoji: [{ ids, negacija }] } ali { napaka }.
+ */
+function razcleniLabele(niz) {
+    const pogoji = [];
+    let steviloLabel = 0;
+
+    for (const del of niz.split(',')) {
+        const izraz = del.trim();
+        const negacija = izraz.startsWith('!');
+        const ids = (negacija ? izraz.slice(1) : izraz).split('|').map(id => id.trim());
+
+        if (ids.some(id => !/^\d+$/.test(id))) {
+            return { napaka: `Neveljaven parameter labels! Neveljaven pogoj '${izraz}'.` };
+        }
+
+        steviloLabel += ids.length;
+        pogoji.push({ ids: ids.map(id => parseInt(id)), negacija });
+    }
+
+    if (steviloLabel > NAJVEC_LABEL_V_FILTRU) {
+        return { napaka: `Neveljaven parameter labels! Največ ${NAJVEC_LABEL_V_FILTRU} label v filtru.` };
+    }
+    return { pogoji };
+}
+
+/**
+ * pogojiLabel(izraz, poTipih, sPodrejenimi)
+ * - vsak pogoj postane (NOT) EXISTS nad kos_labela, ki uporabi primarni ključ (kos_id, labela_id)
+ * - če je poTipih true, se posamezne (nezanikane) labele združijo po tipu labele:
+ *   znotraj tipa velja ALI, med tipi pa IN
+ * - če je sPodrejenimi true, pogoj za labelo izpolni tudi katera koli njena podrejena labela;
+ *   podrejene labele so istega tipa kot nadrejena, zato združevanje po tipih ostane enako
+ */
+function pogojiLabel(izraz, poTipih, sPodrejenimi) {
+    const pogoji = [];
+    const params = [];
+    const labeleSql = (mesta) => sPodrejenimi ? labeleSPodrejenimiSql(mesta) : mesta;
+
+    const posamezne = [];
+    for (const {ids, negacija} of izraz.pogoji) {
+        if (poTipih && !negacija && ids.length === 1) {
+            posamezne.push(ids[0]);
+            continue;
+        }
+        pogoji.push(`${negacija ? 'NOT ' : ''}EXISTS (
+            SELECT 1 FROM kos_labela kl
+            WHERE kl.kos_id = k.id AND kl.labela_id IN (${labeleSql(ids.map(() => '?').join(','))})
+        )`);
+        params.push(...ids);
+    }
+
+    if (posamezne.length > 0) {
+        // kos mora imeti vsaj eno izmed label vsakega zastopanega tipa
+        const mesta = posamezne.map(() => '?').join(',');
+        pogoji.push(`k.id IN (
+            SELECT kl.kos_id
+            FROM kos_labela kl
+            JOIN labela l ON kl.labela_id = l.id
+            WHERE kl.labela_id IN (${labeleSql(mesta)})
+            GROUP BY kl.kos_id
+            HAVING COUNT(DISTINCT l.tip) = (SELECT COUNT(DISTINCT tip) FROM labela WHERE id IN (${mesta}))
+        )`);
+        params.push(...posamezne, ...posamezne);
+    }
+
+    return { pogoji, params };
+}
+
+// parametri filtra morajo biti nizi; ponovljen ključ (?tip=a&tip=b) Express prebere kot seznam
+const PARAMETRI_FILTRA = [
+    'labels', 'labels_po_tipih', 'labels_s_podrejenimi', 'na_voljo', 'tip', 'poskodovano', 'ime', 'tip_labele'
+];
+
+function napakaNeNiza(ime) {
+    return { napaka: `Neveljaven parameter ${ime}! Parameter mora biti podan enkrat in kot besedilo.` };
+}
+
+function preberiBoolean(vrednost) {
+    if (vrednost === 'true') return true;
+    if (vrednost === 'false') return false;
+    return undefined;
+}
+
+/**
+ * filterKosov(query)
+ * Iz query parametrov GET /api/kosi sestavi pogoje za WHERE nad tabelo kos (alias k).
+ * - labels: izraz nad ID-ji label (glej razcleniLabele), npr. "1,3,5" ali "3|7,12,!5"
+ * - labels_po_tipih: true združi posamezne labele po tipu (ALI znotraj tipa, IN med tipi)
+ * - labels_s_podrejenimi: true upošteva tudi podrejene labele v drevesu label
+ * - na_voljo: true/false (kos ni/je izposojen)
+ * - tip: tip kosa ali več tipov, ločenih z vejico
+ * - poskodovano: true/false
+ * - ime: del imena kosa
+ * - tip_labele: kos ima vsaj eno labelo tega tipa
+ * Kosov v smeteh ne vrne noben filter.
+ * Vrne { pogoji, params } ali { napaka } za odgovor 400.
+ */
+function filterKosov(query) {
+    const neNiz = PARAMETRI_FILTRA.find(ime => query[ime] !== undefined && typeof query[ime] !== 'string');
+    if (neNiz) {
+        return napakaNeNiza(neNiz);
+    }
+
+    const {labels, labels_po_tipih, labels_s_podrejenimi, na_voljo, tip, poskodovano, ime, tip_labele} = query;
+    const pogoji = ['k.izbrisano_ob IS NULL'];
+    const params = [];
+
+    if (labels) {
+        const izraz = razcleniLabele(labels);
+        if (izraz.napaka) {
+            return { napaka: izraz.napaka };
+        }
+
+        const poTipih = preberiBoolean(labels_po_tipih ?? 'false');
+        if (poTipih === undefined) {
+            return { napaka: 'Neveljaven parameter labels_po_tipih! Dovoljeni vrednosti: true, false' };
+        }
+
+        const sPodrejenimi = preberiBoolean(labels_s_podrejenimi ?? 'false');
+        if (sPodrejenimi === undefined) {
+            return { napaka: 'Neveljaven parameter labels_s_podrejenimi! Dovoljeni vrednosti: true, false' };
+        }
+
+        const labele = pogojiLabel(izraz, poTipih, sPodrejenimi);
+        pogoji.push(...labele.pogoji);
+        params.push(...labele.params);
+    }
+
+    if (na_voljo !== undefined) {
+        const vrednost = preberiBoolean(na_voljo);
+        if (vrednost === undefined) {
+            return { napaka: 'Neveljaven parameter na_voljo! Dovoljeni vrednosti: true, false' };
+        }
+        pogoji.push(vrednost ? `NOT ${IZPOSOJEN_SQL}` : IZPOSOJEN_SQL);
+    }
+
+    if (tip !== undefined) {
+        const tipi = tip.split(',');
+        if (tipi.some(t => !TIPI_KOSOV.includes(t))) {
+            return { napaka: `Neveljaven parameter tip! Dovoljeni tipi: ${TIPI_KOSOV.join(', ')}` };
+        }
+        pogoji.push(`k.tip IN (${tipi.map(() => '?').join(',')})`);
+        params.push(...tipi);
+    }
+
+    if (poskodovano !== undefined) {
+        const vrednost = preberiBoolean(poskodovano);
+        if (vrednost === undefined) {
+            return { napaka: 'Neveljaven parameter poskodovano! Dovoljeni vrednosti: true, false' };
+        }
+        const pogoj = popravila.poskodovanoSql('k');
+        pogoji.push(vrednost ? pogoj : `NOT ${pogoj}`);
+    }
+
+    if (ime !== undefined && ime.trim() !== '') {
+        // % in _ v iskalnem nizu iščemo dobesedno
+        pogoji.push("k.ime LIKE ? ESCAPE '\\\\'");
+        params.push(`%${ime.trim().replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    if (tip_labele !== undefined) {
+        if (!TIPI_LABEL.includes(tip_labele)) {
+            return { napaka: `Neveljaven parameter tip_labele! Dovoljeni tipi: ${TIPI_LABEL.join(', ')}` };
+        }
+        pogoji.push(`
+            EXISTS (
+                SELECT 1 FROM kos_labela kl
+                JOIN labela l ON kl.labela_id = l.id
+                WHERE kl.kos_id = k.id AND l.tip = ? AND l.izbrisano_ob IS NULL
+            )
+        `);
+        params.push(tip_labele);
+    }
+
+    return { pogoji, params };
+}
+
+/**
+ * razvrstitevKosov(uredi)
+ * - uredi je ime polja (ime, tip, datum), z '-' pred imenom za padajoči vrstni red
+ * - vrne ORDER BY del poizvedbe ali { napaka }
+ */
+function razvrstitevKosov(uredi = 'ime') {
+    if (typeof uredi !== 'string') {
+        return napakaNeNiza('uredi');
+    }
+    const padajoce = uredi.startsWith('-');
+    const polje = RAZVRSTITVE_KOSOV[padajoce ? uredi.slice(1) : uredi];
+    if (!polje) {
+        return { napaka: `Neveljaven parameter uredi! Dovoljene vrednosti: ${Object.keys(RAZVRSTITVE_KOSOV).join(', ')} (z '-' za padajoče)` };
+    }
+
+    // k.id zagotavlja stabilen vrstni red med stranmi
+    const smer = padajoce ? 'DESC' : 'ASC';
+    return { orderBy: `ORDER BY ${polje} ${smer}, k.id ${smer}` };
+}
+
+module.exports = {
+    TIPI_KOSOV,
+    TIPI_LABEL,
+    IZPOSOJEN_SQL,
+    LABELE_KOSA_SQL,
+    razcleniLabele,
+    filterKosov,
+    razvrstitevKosov
+};
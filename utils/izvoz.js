@@ -0,0 +1,209 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const pool = require('./db.js');
+const predogledi = require('./predogledi.js');
+const { TIPI_LABEL } = require('./filtri.js');
+
+// formati izvoza: format -> MIME in končnica datoteke
+const FORMATI_IZVOZA = {
+    csv: { mime: 'text/csv; charset=utf-8', koncnica: 'csv' },
+    xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', koncnica: 'xlsx' },
+    pdf: { mime: 'application/pdf', koncnica: 'pdf' }
+};
+
+// nazivi stolpcev za labele, po tipih label
+const NAZIVI_TIPOV_LABEL = {
+    pokrajina: 'Pokrajina',
+    tip_oblacila: 'Tip oblačila',
+    spol: 'Spol',
+    velikost: 'Velikost',
+    drugo: 'Drugo'
+};
+
+// stolpci izvoza v vrstnem redu; vrednost(kos) vrne vrednost celice
+const STOLPCI = [
+    { naziv: 'ID', sirina: 8, vrednost: k => k.id },
+    { naziv: 'Ime', sirina: 32, vrednost: k => k.ime },
+    { naziv: 'Tip', sirina: 10, vrednost: k => k.tip },
+    ...TIPI_LABEL.map(tip => ({
+        naziv: NAZIVI_TIPOV_LABEL[tip] ?? tip,
+        sirina: 20,
+        vrednost: k => k.labelePoTipih[tip].join(', ')
+    })),
+    { naziv: 'Poškodovano', sirina: 12, vrednost: k => (k.poskodovano ? 'da' : 'ne') },
+    { naziv: 'Stanje popravila', sirina: 16, vrednost: k => k.stanje_popravila ?? '' },
+    { naziv: 'Na voljo', sirina: 10, vrednost: k => (k.na_voljo ? 'da' : 'ne') },
+    { naziv: 'Komentarjev', sirina: 12, vrednost: k => k.st_komentarjev },
+    { naziv: 'Dodano', sirina: 12, vrednost: k => k.ustvarjeno_ob }
+];
+
+// pisava z šumniki za PDF; vgrajena Helvetica nima znaka č
+const PISAVA_PDF = process.env.PDF_PISAVA ?? '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+const VISINA_VRSTICE_PDF = 72;
+const VELIKOST_SLICICE_PDF = 60;
+
+/**
+ * pripraviKos(vrstica)
+ * - labele kosa (JSON seznam) razvrsti po tipih label: { pokrajina: ['Prekmurje'], ... }
+ */
+function pripraviKos(vrstica) {
+    const labelePoTipih = Object.fromEntries(TIPI_LABEL.map(tip => [tip, []]));
+    for (const labela of vrstica.labele ?? []) {
+        (labelePoTipih[labela.tip] ??= []).push(labela.naziv);
+    }
+    return { ...vrstica, labelePoTipih };
+}
+
+// datumi so v CSV-ju zapisani kot YYYY-MM-DD, ostale vrednosti nespremenjene
+function celicaCsv(vrednost) {
+    return vrednost instanceof Date ? vrednost.toISOString().slice(0, 10) : vrednost;
+}
+
+/**
+ * izvoziCsv(kosi, izhod)
+ * - zapiše kose kot CSV z glavo; BOM poskrbi, da Excel pravilno prebere šumnike
+ */
+async function izvoziCsv(kosi, izhod) {
+    const csv = stringify({ bom: true });
+    csv.write(STOLPCI.map(s => s.naziv));
+    for (const kos of kosi) {
+        csv.write(STOLPCI.map(s => celicaCsv(s.vrednost(kos))));
+    }
+    csv.end();
+    await pipeline(csv, izhod);
+}
+
+/**
+ * izvoziXlsx(kosi, izhod)
+ * - zapiše kose v preglednico z zamrznjeno glavo in filtri nad stolpci
+ */
+async function izvoziXlsx(kosi, izhod) {
+    const zvezek = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: izhod, useStyles: true });
+    const list = zvezek.addWorksheet('Inventar', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    list.columns = STOLPCI.map((s, i) => ({ header: s.naziv, key: String(i), width: s.sirina }));
+    list.getRow(1).font = { bold: true };
+    list.getColumn(STOLPCI.length).numFmt = 'yyyy-mm-dd';
+    list.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: STOLPCI.length } };
+    list.getRow(1).commit();
+
+    for (const kos of kosi) {
+        list.addRow(STOLPCI.map(s => s.vrednost(kos))).commit();
+    }
+
+    list.commit();
+    await zvezek.commit();
+}
+
+/**
+ * slicicaKosa(kos)
+ * - predogled thumb za katalog: iz glavne priponke, če je izbrana, sicer iz vsebine kosa
+ * - vrne JPEG Buffer ali null; napaka pri enem kosu ne ustavi izvoza
+ */
+async function slicicaKosa(kos) {
+    try {
+        let vir = { tip: kos.tip, kljuc_shrambe: kos.kljuc_shrambe };
+        if (kos.glavna_priponka_id) {
+            const [priponke] = await pool.execute('SELECT tip, kljuc_shrambe FROM priponka WHERE id = ?', [kos.glavna_priponka_id]);
+            vir = priponke[0] ?? vir;
+        }
+        // starejši kosi imajo vsebino še v BLOB-u
+        if (!vir.kljuc_shrambe) {
+            const [blobi] = await pool.execute('SELECT vsebina FROM kos WHERE id = ?', [kos.id]);
+            vir.vsebina = blobi[0]?.vsebina;
+        }
+        return await predogledi.pridobiPredogled(vir, 'thumb');
+    } catch (err) {
+        console.error(`Predogleda kosa ${kos.id} za katalog ni bilo mogoče pripraviti:`, err);
+        return null;
+    }
+}
+
+/**
+ * izvoziPdf(kosi, izhod, naslov)
+ * - natisljiv katalog: vsak kos v svoji vrstici s sličico, labelami po tipih in stanjem
+ */
+async function izvoziPdf(kosi, izhod, naslov) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true, info: { Title: naslov } });
+    const koncano = pipeline(doc, izhod);
+
+    if (fs.existsSync(PISAVA_PDF)) {
+        doc.registerFont('besedilo', PISAVA_PDF);
+        doc.font('besedilo');
+    }
+
+    const levo = doc.page.margins.left;
+    const sirina = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const dno = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.fontSize(18).text(naslov);
+    doc.fontSize(10).fillColor('#555').text(`Število kosov: ${kosi.length}`).fillColor('black');
+    doc.moveDown();
+
+    for (const kos of kosi) {
+        if (doc.y + VISINA_VRSTICE_PDF > dno()) doc.addPage();
+        const vrh = doc.y;
+
+        const slicica = await slicicaKosa(kos);
+        if (slicica) {
+            doc.image(slicica, levo, vrh, { fit: [VELIKOST_SLICICE_PDF, VELIKOST_SLICICE_PDF] });
+        } else {
+            doc.rect(levo, vrh, VELIKOST_SLICICE_PDF, VELIKOST_SLICICE_PDF).stroke('#ccc');
+        }
+
+        const x = levo + VELIKOST_SLICICE_PDF + 12;
+        const sirinaBesedila = sirina - VELIKOST_SLICICE_PDF - 12;
+        const labele = TIPI_LABEL
+            .filter(tip => kos.labelePoTipih[tip].length > 0)
+            .map(tip => `${NAZIVI_TIPOV_LABEL[tip] ?? tip}: ${kos.labelePoTipih[tip].join(', ')}`)
+            .join(' · ');
+        const stanje = kos.poskodovano ? `poškodovano (${kos.stanje_popravila})` : 'nepoškodovano';
+
+        doc.fontSize(12).text(`${kos.ime}`, x, vrh, { width: sirinaBesedila });
+        doc.fontSize(9).fillColor('#555')
+            .text(`#${kos.id} · ${kos.tip} · ${stanje} · ${kos.na_voljo ? 'na voljo' : 'izposojeno'} · komentarjev: ${kos.st_komentarjev}`, { width: sirinaBesedila })
+            .text(labele || 'brez label', { width: sirinaBesedila })
+            .fillColor('black');
+
+        doc.y = Math.max(doc.y, vrh + VELIKOST_SLICICE_PDF) + 12;
+        doc.x = levo;
+    }
+
+    // številke strani v nogi
+    const strani = doc.bufferedPageRange();
+    for (let i = 0; i < strani.count; i++) {
+        doc.switchToPage(strani.start + i);
+        const spodaj = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8).fillColor('#555')
+            .text(`${i + 1} / ${strani.count}`, levo, doc.page.height - 25, { width: sirina, align: 'center' });
+        doc.page.margins.bottom = spodaj;
+    }
+
+    doc.end();
+    await koncano;
+}
+
+const IZVOZNIKI = {
+    csv: izvoziCsv,
+    xlsx: izvoziXlsx,
+    pdf: izvoziPdf
+};
+
+/**
+ * izvozi(format, vrstice, izhod, naslov)
+ * - vrstice so rezultat poizvedbe za izvoz (z labelami kot JSON seznamom)
+ * - zapiše izvoz v tok izhod (npr. res)
+ */
+async function izvozi(format, vrstice, izhod, naslov) {
+    await IZVOZNIKI[format](vrstice.map(pripraviKos), izhod, naslov);
+}
+
+module.exports = {
+    FORMATI_IZVOZA,
+    izvozi
+};
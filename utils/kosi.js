@@ -0,0 +1,148 @@
+const pool = require('./db.js');
+const prenos = require('./prenos.js');
+const tipiDatotek = require('./tipiDatotek.js');
+const verzije = require('./verzije.js');
+const revizija = require('./revizija.js');
+const popravila = require('./popravila.js');
+
+// največ kosov v eni paketni spremembi, da transakcija ne zaklene pol zbirke
+const NAJVEC_V_PAKETU = 500;
+
+/**
+ * ustvariKos({ ime, tip, datoteka, nalozil_id })
+ * - skupna logika za POST /api/kosi in uvoz iz arhiva
+ * - datoteka: { path, size } naložene ali razpakirane datoteke na disku
+ * - tip ni obvezen; če ga ni, se izpelje iz vsebine
+ * - preveri ime in vsebino, shrani datoteko v shrambo ter zapiše kos z njegovo prvo verzijo
+ * - nalozil_id je tudi avtor vnosa v revizijski sledi
+ * - vrne { id, tip } ali { napaka: { status, message } } (409 za podvojeno ime, 400/415 za neustrezno vsebino)
+ */
+async function ustvariKos({ ime, tip, datoteka, nalozil_id }) {
+    //ali že obstaja kos z istim imenom (ime ostane zasedeno tudi, ko je kos v smeteh)
+    const [rows] = await pool.execute('SELECT id, izbrisano_ob FROM kos WHERE ime = ?', [ime]);
+    if (rows.length > 0) {
+        const message = rows[0].izbrisano_ob
+            ? 'Kos z istim imenom je v smeteh! Obnovite ga ali ga trajno izbrišite.'
+            : 'Kos z istim imenom že obstaja!';
+        return { napaka: { status: 409, message } };
+    }
+
+    //preverim dejanski tip vnesenega kosa
+    const detectedType = await tipiDatotek.preveriDatoteko(datoteka.path, tip);
+    if (detectedType.napaka) {
+        return { napaka: detectedType.napaka };
+    }
+
+    // vsebino shranimo v shrambo, v bazi hranimo samo ključ
+    let kljuc = await prenos.shraniNalozeno(datoteka, 'kosi', detectedType.mime);
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
+            'INSERT INTO kos (ime, tip, nalozil_id) VALUES (?, ?, ?)',
+            [ime, detectedType.tip, nalozil_id]
+        );
+        const id = result.insertId; //id novega kosa
+
+        // naložena vsebina je prva verzija kosa
+        await verzije.dodajVerzijo(conn, id, {
+            tip: detectedType.tip,
+            mime: detectedType.mime,
+            kljuc_shrambe: kljuc,
+            velikost: datoteka.size,
+            nalozil_id
+        });
+        await revizija.zabelezi(conn, { uporabnik_id: nalozil_id, dejanje: 'ustvarjanje', entiteta: 'kos', entiteta_id: id });
+        await conn.commit();
+        kljuc = null; // datoteka zdaj pripada zapisanemu kosu
+
+        return { id, tip: detectedType.tip };
+    } catch (err) {
+        if (conn) await conn.rollback();
+        // kos ni bil zapisan, zato ne puščamo osirotele datoteke v shrambi
+        if (kljuc) prenos.izbrisiShranjeno([kljuc]);
+        if (err.code === 'ER_DUP_ENTRY') {
+            // kos z istim imenom je bil vmes dodan z drugo zahtevo
+            return { napaka: { status: 409, message: 'Kos z istim imenom že obstaja!' } };
+        }
+        throw err;
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+/**
+ * spremeniKos(conn, kos_id, { dodaj_labele, odstrani_labele, poskodovano, izbrisi }, uporabnik_id)
+ * - ena postavka paketne spremembe kosov; conn mora biti v transakciji celotnega paketa
+ * - izbrisi premakne kos v smeti in se ne kombinira z ostalimi spremembami
+ * - vsako dejansko spremembo zapiše v revizijsko sled kot posamezni endpointi (dodajanje_labele, odstranjevanje_labele,
+ *   urejanje, brisanje); labela, ki je že bila na kosu ali je ni bilo, ni sprememba
+ * - vrne { kos_id, ...spremembe } ali { kos_id, napaka: { status, message } }
+ */
+async function spremeniKos(conn, kos_id, { dodaj_labele = [], odstrani_labele = [], poskodovano, izbrisi = false }, uporabnik_id) {
+    const [kosi] = await conn.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL FOR UPDATE', [kos_id]);
+    if (kosi.length === 0) {
+        return { kos_id, napaka: { status: 404, message: `Kos z ID-jem '${kos_id}' ne obstaja!` } };
+    }
+    const zabelezi = (dejanje, prej) => revizija.zabelezi(conn, { uporabnik_id, dejanje, entiteta: 'kos', entiteta_id: kos_id, prej });
+
+    if (izbrisi) {
+        const [izposoje] = await conn.execute('SELECT id FROM izposoja WHERE kos_id = ? AND vrnjeno_ob IS NULL', [kos_id]);
+        if (izposoje.length > 0) {
+            return { kos_id, napaka: { status: 409, message: `Kos z ID-jem '${kos_id}' je izposojen in ga ni mogoče izbrisati!` } };
+        }
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        await conn.execute('UPDATE kos SET izbrisano_ob = NOW(), izbrisano_od = ? WHERE id = ?', [uporabnik_id, kos_id]);
+        await zabelezi('brisanje', prej);
+        return { kos_id, izbrisan: true };
+    }
+
+    const rezultat = { kos_id, dodane_labele: [], odstranjene_labele: [] };
+
+    if (dodaj_labele.length > 0) {
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        for (const labela_id of dodaj_labele) {
+            const [result] = await conn.execute('INSERT IGNORE INTO kos_labela (kos_id, labela_id) VALUES (?, ?)', [kos_id, labela_id]);
+            if (result.affectedRows === 1) rezultat.dodane_labele.push(labela_id);
+        }
+        if (rezultat.dodane_labele.length > 0) await zabelezi('dodajanje_labele', prej);
+    }
+
+    if (odstrani_labele.length > 0) {
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        for (const labela_id of odstrani_labele) {
+            const [result] = await conn.execute('DELETE FROM kos_labela WHERE kos_id = ? AND labela_id = ?', [kos_id, labela_id]);
+            if (result.affectedRows === 1) rezultat.odstranjene_labele.push(labela_id);
+        }
+        if (rezultat.odstranjene_labele.length > 0) await zabelezi('odstranjevanje_labele', prej);
+    }
+
+    // poskodovano se izpelje iz odprtih popravil, zato popravilo odpremo ali zaključimo
+    if (poskodovano !== undefined) {
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        let spremenjeno = false;
+        if (!poskodovano) {
+            spremenjeno = (await popravila.zakljuciPopravila(conn, kos_id, uporabnik_id)) > 0;
+        } else if (!(await popravila.imaOdprtaPopravila(kos_id, conn))) {
+            await popravila.prijaviPoskodbo(conn, {
+                kos_id,
+                prijavil_id: uporabnik_id,
+                opis: 'Kos je označen kot poškodovan.'
+            });
+            spremenjeno = true;
+        }
+        if (spremenjeno) await zabelezi('urejanje', prej);
+        rezultat.poskodovano = poskodovano;
+    }
+
+    return rezultat;
+}
+
+module.exports = {
+    NAJVEC_V_PAKETU,
+    ustvariKos,
+    spremeniKos
+};
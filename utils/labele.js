@@ -0,0 +1,123 @@
+const pool = require('./db.js');
+const revizija = require('./revizija.js');
+
+/**
+ * zgradiDrevo(labele)
+ * - iz ploskega seznama label z nadrejena_id sestavi drevo; vsaka labela dobi seznam podrejene
+ * - labela, katere nadrejene ni v seznamu (npr. je v smeteh), postane koren
+ */
+function zgradiDrevo(labele) {
+    const vozlisca = new Map(labele.map(l => [l.id, { ...l, podrejene: [] }]));
+    const koreni = [];
+    for (const vozlisce of vozlisca.values()) {
+        const nadrejena = vozlisca.get(vozlisce.nadrejena_id);
+        (nadrejena ? nadrejena.podrejene : koreni).push(vozlisce);
+    }
+    return koreni;
+}
+
+/**
+ * preveriNadrejeno(conn, { id, tip, nadrejena_id })
+ * - preveri, ali je nadrejena_id lahko nadrejena labela labele id (pri novi labeli je id undefined)
+ * - nadrejena mora obstajati, biti istega tipa in ne sme biti labela sama ali njena podrejena
+ * - vrne null ali { napaka: { status, message } }
+ */
+async function preveriNadrejeno(conn = pool, { id, tip, nadrejena_id }) {
+    const [nadrejene] = await conn.execute(
+        'SELECT id, tip FROM labela WHERE id = ? AND izbrisano_ob IS NULL',
+        [nadrejena_id]
+    );
+    if (nadrejene.length === 0) {
+        return { napaka: { status: 404, message: `Nadrejena labela z ID-jem '${nadrejena_id}' ne obstaja!` } };
+    }
+    // enak tip omogoča filtriranje po tipih skupaj s podrejenimi labelami
+    if (nadrejene[0].tip !== tip) {
+        return { napaka: { status: 400, message: `Nadrejena labela mora biti istega tipa (${tip})!` } };
+    }
+
+    if (id !== undefined && await jePodrejena(conn, nadrejena_id, id)) {
+        return { napaka: { status: 409, message: 'Labele ni mogoče premakniti pod samo sebe ali pod njeno podrejeno labelo!' } };
+    }
+    return null;
+}
+
+/**
+ * jePodrejena(conn, id, prednik_id)
+ * - true, če je labela id enaka labeli prednik_id ali ena od njenih podrejenih na kateri koli globini
+ */
+async function jePodrejena(conn, id, prednik_id) {
+    // UNION (brez ALL) ustavi rekurzijo tudi, če bi drevo že imelo cikel
+    const [rows] = await conn.execute(`
+        WITH RECURSIVE predniki AS (
+            SELECT id, nadrejena_id FROM labela WHERE id = ?
+            UNION
+            SELECT l.id, l.nadrejena_id FROM labela l JOIN predniki p ON l.id = p.nadrejena_id
+        )
+        SELECT id FROM predniki WHERE id = ?
+    `, [id, prednik_id]);
+    return rows.length > 0;
+}
+
+/**
+ * odstraniSKosov(conn, labela_id, uporabnik_id)
+ * - odstrani labelo s kosov, ki niso v smeteh, in vsako spremembo kosa zapiše v revizijsko sled
+ * - vrne število kosov, s katerih je bila labela odstranjena
+ */
+async function odstraniSKosov(conn, labela_id, uporabnik_id) {
+    const [kosi] = await conn.execute(`
+        SELECT kl.kos_id FROM kos_labela kl
+        JOIN kos k ON kl.kos_id = k.id
+        WHERE kl.labela_id = ? AND k.izbrisano_ob IS NULL
+        ORDER BY kl.kos_id
+        FOR UPDATE
+    `, [labela_id]);
+
+    for (const { kos_id } of kosi) {
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        await conn.execute('DELETE FROM kos_labela WHERE kos_id = ? AND labela_id = ?', [kos_id, labela_id]);
+        await revizija.zabelezi(conn, { uporabnik_id, dejanje: 'odstranjevanje_labele', entiteta: 'kos', entiteta_id: kos_id, prej });
+    }
+    return kosi.length;
+}
+
+/**
+ * zdruzi(conn, labela_id, ciljna_id, uporabnik_id)
+ * - labelo labela_id združi v labelo ciljna_id: povezave s kosi (tudi s kosi v smeteh) in podrejene labele
+ *   preidejo na ciljno labelo, labela_id pa se trajno izbriše
+ * - kos, ki je imel obe labeli, obdrži eno povezavo
+ * - vse spremembe zapiše v revizijsko sled kot zdruzevanje_label
+ * - vrne število kosov, katerih povezave so se premaknile
+ */
+async function zdruzi(conn, labela_id, ciljna_id, uporabnik_id) {
+    const zabelezi = (entiteta, entiteta_id, prej) =>
+        revizija.zabelezi(conn, { uporabnik_id, dejanje: 'zdruzevanje_label', entiteta, entiteta_id, prej });
+
+    const [kosi] = await conn.execute('SELECT kos_id FROM kos_labela WHERE labela_id = ? ORDER BY kos_id FOR UPDATE', [labela_id]);
+    for (const { kos_id } of kosi) {
+        const prej = await revizija.posnetek(conn, 'kos', kos_id);
+        await conn.execute('INSERT IGNORE INTO kos_labela (kos_id, labela_id) VALUES (?, ?)', [kos_id, ciljna_id]);
+        await conn.execute('DELETE FROM kos_labela WHERE kos_id = ? AND labela_id = ?', [kos_id, labela_id]);
+        await zabelezi('kos', kos_id, prej);
+    }
+
+    const [podrejene] = await conn.execute('SELECT id FROM labela WHERE nadrejena_id = ? ORDER BY id FOR UPDATE', [labela_id]);
+    for (const { id } of podrejene) {
+        const prej = await revizija.posnetek(conn, 'labela', id);
+        await conn.execute('UPDATE labela SET nadrejena_id = ? WHERE id = ?', [ciljna_id, id]);
+        await zabelezi('labela', id, prej);
+    }
+
+    const prej = await revizija.posnetek(conn, 'labela', labela_id);
+    await conn.execute('DELETE FROM labela WHERE id = ?', [labela_id]);
+    await zabelezi('labela', labela_id, prej);
+
+    return kosi.length;
+}
+
+module.exports = {
+    zgradiDrevo,
+    preveriNadrejeno,
+    jePodrejena,
+    odstraniSKosov,
+    zdruzi
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const pool = require('./db.js');
+
+const MAPA_MIGRACIJ = path.join(__dirname, '..', 'db', 'migracije');
+
+/**
+ * naloziMigracije()
+ * - migracije so datoteke db/migracije/NNN_ime.js z { gor, dol }
+ * - gor in dol sta seznama korakov: SQL stavek ali async funkcija (conn)
+ * - vrne migracije, urejene po verziji
+ */
+function naloziMigracije() {
+    return fs.readdirSync(MAPA_MIGRACIJ)
+        .map(datoteka => datoteka.match(/^(\d+)_(.+)\.js$/))
+        .filter(Boolean)
+        .map(([datoteka, verzija, ime]) => ({
+            verzija: parseInt(verzija),
+            ime,
+            ...require(path.join(MAPA_MIGRACIJ, datoteka))
+        }))
+        .sort((a, b) => a.verzija - b.verzija);
+}
+
+/**
+ * ustvariBazo()
+ * - ustvari bazo iz nastavitev, če še ne obstaja (za novo razvojno okolje)
+ */
+async function ustvariBazo() {
+    const { database, ...nastavitve } = pool.NASTAVITVE_BAZE;
+    const conn = await mysql.createConnection(nastavitve);
+    try {
+        await conn.query(`CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4`);
+    } finally {
+        await conn.end();
+    }
+}
+
+async function izvedeneVerzije(conn) {
+    try {
+        const [rows] = await conn.query('SELECT verzija FROM migracija ORDER BY verzija');
+        return rows.map(r => r.verzija);
+    } catch (err) {
+        // baza še nima nobene migracije
+        if (err.code === 'ER_NO_SUCH_TABLE') return [];
+        throw err;
+    }
+}
+
+async function izvediKorake(conn, koraki) {
+    for (const korak of koraki) {
+        if (typeof korak === 'function') {
+            await korak(conn);
+        } else {
+            await conn.query(korak);
+        }
+    }
+}
+
+/**
+ * stanjeSheme()
+ * - vrne { izvedene, cakajoce, neznane }: neznane so verzije v bazi, ki jih koda ne pozna (baza je novejša)
+ */
+async function stanjeSheme() {
+    const migracije = naloziMigracije();
+    const izvedene = await izvedeneVerzije(pool);
+    return {
+        izvedene: migracije.filter(m => izvedene.includes(m.verzija)),
+        cakajoce: migracije.filter(m => !izvedene.includes(m.verzija)),
+        neznane: izvedene.filter(v => !migracije.some(m => m.verzija === v))
+    };
+}
+
+/**
+ * preveriShemo()
+ * - ob zagonu strežnika preveri, ali je shema baze enaka shemi, ki jo pričakuje koda
+ * - vrne null ali sporočilo o napaki
+ */
+async function preveriShemo() {
+    const { cakajoce, neznane } = await stanjeSheme();
+    if (neznane.length > 0) {
+        return `Baza ima migracije, ki jih koda ne pozna (${neznane.join(', ')}). Posodobite kodo.`;
+    }
+    if (cakajoce.length > 0) {
+        return `Shema baze ni posodobljena (manjkajo migracije: ${cakajoce.map(m => `${m.verzija}_${m.ime}`).join(', ')}). Zaženite npm run migracije.`;
+    }
+    return null;
+}
+
+/**
+ * migriraj(izpis)
+ * - izvede vse čakajoče migracije po vrsti in vsako zabeleži v tabeli migracija
+ * - MySQL spremembe sheme potrdi takoj, zato se ob napaki ustavimo pri migraciji, ki ni uspela
+ */
+async function migriraj(izpis = console.log) {
+    await ustvariBazo();
+    const conn = await pool.getConnection();
+    try {
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS migracija (
+                verzija INT PRIMARY KEY,
+                ime VARCHAR(255) NOT NULL,
+                izvedeno_ob DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const izvedene = await izvedeneVerzije(conn);
+        const cakajoce = naloziMigracije().filter(m => !izvedene.includes(m.verzija));
+        for (const migracija of cakajoce) {
+            izpis(`Migracija ${migracija.verzija}_${migracija.ime} ...`);
+            await izvediKorake(conn, migracija.gor);
+            await conn.execute('INSERT INTO migracija (verzija, ime) VALUES (?, ?)', [migracija.verzija, migracija.ime]);
+        }
+        return cakajoce;
+    } finally {
+        conn.release();
+    }
+}
+
+/**
+ * povrni(stevilo, izpis)
+ * - povrne zadnjih stevilo izvedenih migracij (korake dol), od najnovejše nazaj
+ */
+async function povrni(stevilo = 1, izpis = console.log) {
+    const conn = await pool.getConnection();
+    try {
+        const izvedene = await izvedeneVerzije(conn);
+        const migracije = naloziMigracije()
+            .filter(m => izvedene.includes(m.verzija))
+            .reverse()
+            .slice(0, stevilo);
+
+        for (const migracija of migracije) {
+            izpis(`Povračilo ${migracija.verzija}_${migracija.ime} ...`);
+            await izvediKorake(conn, migracija.dol);
+            await conn.execute('DELETE FROM migracija WHERE verzija = ?', [migracija.verzija]);
+        }
+        return migracije;
+    } finally {
+        conn.release();
+    }
+}
+
+module.exports = {
+    naloziMigracije,
+    stanjeSheme,
+    preveriShemo,
+    migriraj,
+    povrni
+};
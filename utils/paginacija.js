@@ -0,0 +1,65 @@
+const utils = require('./utils.js');
+
+const PRIVZETO_NA_STRAN = 50;
+const NAJVEC_NA_STRAN = 200;
+
+/**
+ * preberiStran(query)
+ * - iz query parametrov stran (od 1 naprej) in na_stran sestavi { stran, naStran, odmik }
+ * - ob neveljavnih vrednostih vrne { napaka }
+ */
+function preberiStran(query) {
+    const {stran = '1', na_stran = String(PRIVZETO_NA_STRAN)} = query;
+
+    if (!/^\d+$/.test(stran) || parseInt(stran) < 1) {
+        return { napaka: 'Parameter stran mora biti pozitivno celo število!' };
+    }
+    if (!/^\d+$/.test(na_stran) || parseInt(na_stran) < 1 || parseInt(na_stran) > NAJVEC_NA_STRAN) {
+        return { napaka: `Parameter na_stran mora biti celo število med 1 in ${NAJVEC_NA_STRAN}!` };
+    }
+
+    const s = parseInt(stran);
+    const n = parseInt(na_stran);
+    return { stran: s, naStran: n, odmik: (s - 1) * n };
+}
+
+/**
+ * limitSql({ naStran, odmik })
+ * - vrednosti sta že preverjeni celi števili, zato ju lahko vstavimo neposredno
+ *   (pool.execute ne sprejme LIMIT/OFFSET kot parametra)
+ */
+function limitSql({ naStran, odmik }) {
+    return `LIMIT ${naStran} OFFSET ${odmik}`;
+}
+
+/**
+ * nastaviGlaveStrani(req, res, { stran, naStran }, skupaj)
+ * - X-Total-Count: skupno število zadetkov
+ * - Link: povezave na first, prev, next in last stran (RFC 8288)
+ */
+function nastaviGlaveStrani(req, res, { stran, naStran }, skupaj) {
+    const zadnja = Math.max(1, Math.ceil(skupaj / naStran));
+
+    const url = (s) => {
+        const params = new URLSearchParams(req.query);
+        params.set('stran', s);
+        params.set('na_stran', naStran);
+        return utils.urlVira(req, `${req.originalUrl.split('?')[0]}?${params.toString()}`);
+    };
+
+    const povezave = [`<${url(1)}>; rel="first"`];
+    if (stran > 1) povezave.push(`<${url(Math.min(stran - 1, zadnja))}>; rel="prev"`);
+    if (stran < zadnja) povezave.push(`<${url(stran + 1)}>; rel="next"`);
+    povezave.push(`<${url(zadnja)}>; rel="last"`);
+
+    res.setHeader('X-Total-Count', skupaj);
+    res.setHeader('Link', povezave.join(', '));
+}
+
+module.exports = {
+    PRIVZETO_NA_STRAN,
+    NAJVEC_NA_STRAN,
+    preberiStran,
+    limitSql,
+    nastaviGlaveStrani
+};
@@ -0,0 +1,67 @@
+const pool = require('./db.js');
+
+// stanja popravila in dovoljeni prehodi med njimi
+const STANJA_POPRAVILA = ['prijavljeno', 'v_popravilu', 'popravljeno'];
+const PREHODI = {
+    prijavljeno: ['v_popravilu', 'popravljeno'],
+    v_popravilu: ['popravljeno'],
+    popravljeno: []
+};
+
+/**
+ * poskodovanoSql(alias)
+ * - vrne SQL izraz, ki je 1, če ima kos (z aliasom alias) vsaj eno odprto popravilo
+ * - kos.poskodovano ni več shranjen stolpec, ampak se izpelje iz popravil
+ */
+function poskodovanoSql(alias = 'k') {
+    return `EXISTS (SELECT 1 FROM popravilo p WHERE p.kos_id = ${alias}.id AND p.stanje <> 'popravljeno')`;
+}
+
+function dovoljenPrehod(staro, novo) {
+    return (PREHODI[staro] ?? []).includes(novo);
+}
+
+/**
+ * prijaviPoskodbo(conn, { kos_id, prijavil_id, opis, fotografija, fotografija_mime })
+ * - odpre novo popravilo za kos in vrne njegov ID
+ * - conn je lahko pool ali povezava v transakciji
+ */
+async function prijaviPoskodbo(conn, { kos_id, prijavil_id, opis, fotografija = null, fotografija_mime = null }) {
+    const sql = `
+        INSERT INTO popravilo (kos_id, prijavil_id, opis, fotografija, fotografija_mime, stanje)
+        VALUES (?, ?, ?, ?, ?, 'prijavljeno')
+    `;
+    const [result] = await conn.execute(sql, [kos_id, prijavil_id, opis, fotografija, fotografija_mime]);
+    return result.insertId;
+}
+
+/**
+ * zakljuciPopravila(conn, kos_id, popravil_id)
+ * - vsa odprta popravila kosa označi kot popravljena
+ */
+async function zakljuciPopravila(conn, kos_id, popravil_id) {
+    const sql = `
+        UPDATE popravilo
+        SET stanje = 'popravljeno', popravil_id = ?, popravljeno_ob = NOW()
+        WHERE kos_id = ? AND stanje <> 'popravljeno'
+    `;
+    const [result] = await conn.execute(sql, [popravil_id, kos_id]);
+    return result.affectedRows;
+}
+
+async function imaOdprtaPopravila(kos_id, conn = pool) {
+    const [rows] = await conn.execute(
+        "SELECT id FROM popravilo WHERE kos_id = ? AND stanje <> 'popravljeno' LIMIT 1",
+        [kos_id]
+    );
+    return rows.length > 0;
+}
+
+module.exports = {
+    STANJA_POPRAVILA,
+    poskodovanoSql,
+    dovoljenPrehod,
+    prijaviPoskodbo,
+    zakljuciPopravila,
+    imaOdprtaPopravila
+};
@@ -0,0 +1,190 @@
+const os = require('os');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { pridobiShrambo } = require('./shramba');
+const authMiddleware = require('./auth');
+const { dovoli } = require('./dovoljenja');
+const { urlVira } = require('./utils.js');
+
+// velikosti predogledov: thumb za mrežo kosov, srednja za podrobni pogled
+const VELIKOSTI = {
+    thumb: { width: 200, height: 200, fit: 'cover' },
+    srednja: { width: 800, height: 800, fit: 'inside', withoutEnlargement: true }
+};
+
+const CAS_ZA_ORODJE = 30 * 1000; // ms za ffmpeg/pdftoppm
+
+/**
+ * kljucPredogleda(kljuc_shrambe, velikost)
+ * - predogledi so vezani na ključ vsebine, zato nova vsebina kosa dobi nove predoglede
+ */
+function kljucPredogleda(kljuc_shrambe, velikost) {
+    return `predogledi/${kljuc_shrambe}/${velikost}.jpg`;
+}
+
+/**
+ * zazeni(ukaz, argumenti)
+ * - zažene zunanje orodje in vrne njegov izhod kot Buffer
+ * - če orodje ni nameščeno, vrne null
+ */
+function zazeni(ukaz, argumenti) {
+    return new Promise((resolve, reject) => {
+        execFile(ukaz, argumenti, { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, timeout: CAS_ZA_ORODJE }, (err, stdout) => {
+            if (err && err.code === 'ENOENT') return resolve(null);
+            if (err) return reject(err);
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * izvleciSliko(tip, pot)
+ * - iz datoteke na disku pripravi sliko, iz katere naredimo predogled:
+ *   slika ostane ista, za video vzamemo značilno sličico (ffmpeg), za pdf prvo stran (pdftoppm)
+ * - vrne Buffer ali null, če za ta tip predogleda ne moremo narediti
+ */
+async function izvleciSliko(tip, pot) {
+    switch (tip) {
+        case 'slika':
+            return fsp.readFile(pot);
+        case 'video':
+            return zazeni('ffmpeg', ['-v', 'error', '-i', pot, '-vf', 'thumbnail', '-frames:v', '1', '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1']);
+        case 'pdf':
+            return zazeni('pdftoppm', ['-jpeg', '-f', '1', '-l', '1', '-singlefile', '-scale-to', '1600', pot]);
+        default:
+            return null;
+    }
+}
+
+async function pomanjsaj(slika, velikost) {
+    return sharp(slika)
+        .rotate() // upošteva EXIF orientacijo fotografij s telefona
+        .resize(VELIKOSTI[velikost])
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+}
+
+/**
+ * ustvariPredogled(tip, odpriTok, velikost)
+ * - vsebino prenese v začasno datoteko (ffmpeg in pdftoppm potrebujeta datoteko) in naredi JPEG predogled
+ */
+async function ustvariPredogled(tip, odpriTok, velikost) {
+    if (!['slika', 'video', 'pdf'].includes(tip)) return null;
+
+    const zacasna = path.join(os.tmpdir(), `predogled-${crypto.randomUUID()}`);
+    try {
+        await pipeline(await odpriTok(), fs.createWriteStream(zacasna));
+        const slika = await izvleciSliko(tip, zacasna);
+        if (!slika || slika.length === 0) return null;
+        return await pomanjsaj(slika, velikost);
+    } catch (err) {
+        // npr. HEIC, ki ga sharp brez libheif ne zna prebrati
+        if (/unsupported image format/i.test(err.message)) return null;
+        throw err;
+    } finally {
+        await fsp.rm(zacasna, { force: true });
+    }
+}
+
+/**
+ * pridobiPredogled(kos, velikost)
+ * - kos: { tip, kljuc_shrambe } (za starejše kose brez ključa še { vsebina })
+ * - predoglede vsebin v shrambi ustvarimo ob prvi zahtevi in jih shranimo, da jih naslednjič samo preberemo
+ * - vrne Buffer z JPEG predogledom ali null, če predogleda ni mogoče narediti
+ */
+async function pridobiPredogled(kos, velikost) {
+    const shramba = pridobiShrambo();
+
+    if (!kos.kljuc_shrambe) {
+        const vsebina = kos.vsebina ?? Buffer.alloc(0);
+        return ustvariPredogled(kos.tip, async () => Readable.from([vsebina]), velikost);
+    }
+
+    const kljuc = kljucPredogleda(kos.kljuc_shrambe, velikost);
+    if (await shramba.obstaja(kljuc)) {
+        const deli = [];
+        for await (const del of await shramba.odpriTok(kljuc)) deli.push(del);
+        return Buffer.concat(deli);
+    }
+
+    const predogled = await ustvariPredogled(kos.tip, () => shramba.odpriTok(kos.kljuc_shrambe), velikost);
+    if (predogled) {
+        await shramba.shrani(kljuc, predogled, { mime: 'image/jpeg', velikost: predogled.length });
+    }
+    return predogled;
+}
+
+/**
+ * izbrisiPredoglede(kljuc_shrambe)
+ * - pobriše vse shranjene predoglede vsebine
+ */
+async function izbrisiPredoglede(kljuc_shrambe) {
+    const shramba = pridobiShrambo();
+    await Promise.all(Object.keys(VELIKOSTI).map(velikost => shramba.izbrisi(kljucPredogleda(kljuc_shrambe, velikost))));
+}
+
+// podpisane povezave do predogledov veljajo do konca naslednje ure;
+// znotraj ure je povezava enaka, zato jo brskalnik lahko predpomni
+const OKNO_POVEZAVE = 60 * 60; // s
+
+function podpisPredogleda(pot, velikost, poteka) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET)
+        .update(`${pot}\n${velikost}\n${poteka}`)
+        .digest('base64url');
+}
+
+function veljavenPodpis(pot, velikost, poteka, podpis) {
+    if (typeof poteka !== 'string' || !/^\d+$/.test(poteka) || typeof podpis !== 'string') return false;
+    if (parseInt(poteka) < Date.now() / 1000) return false;
+    const pricakovan = Buffer.from(podpisPredogleda(pot, velikost, poteka));
+    const poslan = Buffer.from(podpis);
+    return poslan.length === pricakovan.length && crypto.timingSafeEqual(poslan, pricakovan);
+}
+
+/**
+ * urlPredogledov(req, pot)
+ * - vrne { thumb, srednja } s podpisanimi URL-ji predogledov vsebine na poti pot (npr. /api/kosi/5/vsebina)
+ * - <img src> ne more poslati žetona, zato prijavljenemu uporabniku predogled odobrimo s podpisom v URL-ju
+ */
+function urlPredogledov(req, pot) {
+    const poteka = String((Math.floor(Date.now() / 1000 / OKNO_POVEZAVE) + 2) * OKNO_POVEZAVE);
+    return Object.fromEntries(Object.keys(VELIKOSTI).map(velikost => {
+        const podpis = podpisPredogleda(pot, velikost, poteka);
+        return [velikost, `${urlVira(req, pot)}?velikost=${velikost}&poteka=${poteka}&podpis=${podpis}`];
+    }));
+}
+
+/**
+ * dovoliPredogled - middleware za javne poti do vsebine
+ * - izvirnik ostane javen, predogled (?velikost) pa ob prvi zahtevi izdelajo sharp, ffmpeg ali pdftoppm,
+ *   zato ga strežemo samo s podpisanim URL-jem iz urlPredogledov ali prijavljenemu uporabniku z žetonom
+ */
+function dovoliPredogled(req, res, next) {
+    const { velikost, poteka, podpis } = req.query;
+    if (velikost === undefined) return next();
+
+    if (poteka !== undefined || podpis !== undefined) {
+        if (veljavenPodpis(req.baseUrl + req.path, velikost, poteka, podpis)) return next();
+        return res.status(403).json({ message: 'Povezava do predogleda ni veljavna ali je potekla!' });
+    }
+
+    authMiddleware(req, res, (err) => {
+        if (err) return next(err);
+        dovoli('kosi:branje')(req, res, next);
+    });
+}
+
+module.exports = {
+    VELIKOSTI,
+    urlPredogledov,
+    dovoliPredogled,
+    pridobiPredogled,
+    izbrisiPredoglede
+};
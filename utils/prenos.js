@@ -0,0 +1,167 @@
+const os = require('os');
+const fsp = require('fs/promises');
+const fs = require('fs');
+const multer = require('multer');
+const { Readable } = require('stream');
+const { pridobiShrambo, novKljuc } = require('./shramba');
+const predogledi = require('./predogledi.js');
+
+// naložene datoteke gredo v začasno mapo na disku, da velikih videov ne držimo v pomnilniku
+const NAJVECJA_DATOTEKA = parseInt(process.env.NAJVECJA_DATOTEKA || String(500 * 1024 * 1024)); // privzeto 500MB
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: NAJVECJA_DATOTEKA } });
+
+/**
+ * naloziDatoteko(polje)
+ * - middleware, ki naloži eno datoteko iz polja multipart obrazca v začasno datoteko (req.file.path)
+ * - prevelika datoteka vrne 413
+ * - začasna datoteka se po koncu odgovora vedno pobriše
+ */
+function naloziDatoteko(polje) {
+    const single = upload.single(polje);
+    return (req, res, next) => {
+        single(req, res, (err) => {
+            if (req.file) {
+                res.on('close', () => {
+                    fsp.rm(req.file.path, { force: true }).catch(() => {});
+                });
+            }
+            if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    message: `Datoteka je prevelika! Največja dovoljena velikost je ${Math.floor(NAJVECJA_DATOTEKA / 1024 / 1024)} MB.`
+                });
+            }
+            next(err);
+        });
+    };
+}
+
+/**
+ * preberiZacetek(pot, steviloBajtov)
+ * - prebere začetek datoteke (npr. za prepoznavanje tipa s fileTypeFromBuffer)
+ */
+async function preberiZacetek(pot, steviloBajtov = 4100) {
+    const datoteka = await fsp.open(pot, 'r');
+    try {
+        const buffer = Buffer.alloc(steviloBajtov);
+        const { bytesRead } = await datoteka.read(buffer, 0, steviloBajtov, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await datoteka.close();
+    }
+}
+
+/**
+ * shraniNalozeno(file, predpona, mime)
+ * - naloženo začasno datoteko (req.file) shrani v shrambo pod nov ključ s podano predpono in vrne ključ
+ */
+async function shraniNalozeno(file, predpona, mime) {
+    const kljuc = novKljuc(predpona);
+    await pridobiShrambo().shrani(kljuc, fs.createReadStream(file.path), { mime, velikost: file.size });
+    return kljuc;
+}
+
+/**
+ * posljiVsebino(req, res, { velikost, mime, odpriTok })
+ * - pošlje vsebino kot tok, z glavami Accept-Ranges in Content-Length
+ * - če odjemalec pošlje glavo Range, odgovori s 206 Partial Content in pošlje samo zahtevani del
+ * - nezadovoljiv Range vrne 416 z glavo Content-Range: bytes * / velikost
+ * - odpriTok({ zacetek, konec }) vrne bralni tok za bajte od zacetek do konec (vključno)
+ * - več razponov hkrati (multipart/byteranges) ne podpiramo, zato takrat pošljemo celotno vsebino
+ */
+async function posljiVsebino(req, res, { velikost, mime, odpriTok }) {
+    res.setHeader('Content-Type', mime);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    let zacetek = 0;
+    let konec = velikost - 1;
+
+    const razponi = req.headers.range ? req.range(velikost, { combine: true }) : undefined;
+    if (razponi === -1) {
+        res.setHeader('Content-Range', `bytes */${velikost}`);
+        return res.status(416).json({ message: 'Zahtevani razpon ni veljaven za to vsebino!' });
+    }
+
+    // napačno oblikovano glavo (-2) ali več razponov obravnavamo, kot da Range ni bil poslan
+    if (Array.isArray(razponi) && razponi.type === 'bytes' && razponi.length === 1) {
+        zacetek = razponi[0].start;
+        konec = razponi[0].end;
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${zacetek}-${konec}/${velikost}`);
+    }
+
+    res.setHeader('Content-Length', velikost === 0 ? 0 : konec - zacetek + 1);
+
+    if (req.method === 'HEAD' || velikost === 0) {
+        return res.end();
+    }
+
+    const tok = await odpriTok({ zacetek, konec });
+    tok.on('error', (err) => {
+        // glave so morda že poslane, zato lahko samo prekinemo odgovor
+        if (res.headersSent) {
+            console.error('Napaka pri pošiljanju vsebine:', err);
+            return res.destroy(err);
+        }
+        req.next(err);
+    });
+    // če odjemalec prekine povezavo (npr. pri previjanju videa), zapremo tudi bralni tok
+    res.on('close', () => tok.destroy());
+    tok.pipe(res);
+}
+
+/**
+ * posljiDatoteko(req, res, datoteka, velikostPredogleda)
+ * - datoteka: { tip, mime, kljuc_shrambe, velikost } (starejši kosi brez ključa namesto tega { vsebina })
+ * - če je podana velikostPredogleda (thumb, srednja), pošlje JPEG predogled namesto izvirnika,
+ *   oziroma 404, če predogleda za to vsebino ni mogoče narediti
+ */
+async function posljiDatoteko(req, res, datoteka, velikostPredogleda) {
+    if (velikostPredogleda) {
+        const predogled = await predogledi.pridobiPredogled(datoteka, velikostPredogleda);
+        if (!predogled) {
+            return res.status(404).json({ message: 'Predogled za to vsebino ni na voljo!' });
+        }
+        return posljiVsebino(req, res, {
+            velikost: predogled.length,
+            mime: 'image/jpeg',
+            odpriTok: async ({ zacetek, konec }) => Readable.from([predogled.subarray(zacetek, konec + 1)])
+        });
+    }
+
+    if (!datoteka.kljuc_shrambe) {
+        const vsebina = datoteka.vsebina ?? Buffer.alloc(0);
+        return posljiVsebino(req, res, {
+            velikost: vsebina.length,
+            mime: datoteka.mime,
+            odpriTok: async ({ zacetek, konec }) => Readable.from([vsebina.subarray(zacetek, konec + 1)])
+        });
+    }
+
+    return posljiVsebino(req, res, {
+        velikost: datoteka.velikost,
+        mime: datoteka.mime,
+        odpriTok: (razpon) => pridobiShrambo().odpriTok(datoteka.kljuc_shrambe, razpon)
+    });
+}
+
+/**
+ * izbrisiShranjeno(kljuci)
+ * - v ozadju pobriše vsebine in njihove predoglede iz shrambe
+ * - kliče se, ko so zapisi v bazi že izbrisani, zato napake samo zabeležimo
+ */
+function izbrisiShranjeno(kljuci) {
+    for (const kljuc of kljuci.filter(Boolean)) {
+        Promise.all([pridobiShrambo().izbrisi(kljuc), predogledi.izbrisiPredoglede(kljuc)])
+            .catch(err => console.error(`Brisanje vsebine '${kljuc}' iz shrambe ni uspelo:`, err));
+    }
+}
+
+module.exports = {
+    NAJVECJA_DATOTEKA,
+    naloziDatoteko,
+    preberiZacetek,
+    shraniNalozeno,
+    posljiVsebino,
+    posljiDatoteko,
+    izbrisiShranjeno
+};
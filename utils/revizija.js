@@ -0,0 +1,55 @@
+const popravila = require('./popravila.js');
+
+// entitete z revizijsko sledjo in SQL za posnetek njihovega stanja
+const POSNETKI = {
+    kos: `SELECT k.id, k.ime, k.tip, ${popravila.poskodovanoSql('k')} AS poskodovano, k.izbrisano_ob FROM kos k WHERE k.id = ?`,
+    labela: 'SELECT id, naziv, tip, nadrejena_id, izbrisano_ob FROM labela WHERE id = ?',
+    komentar: 'SELECT id, kos_id, uporabnik_id, besedilo, izbrisano_ob FROM komentar WHERE id = ?'
+};
+
+const ENTITETE = Object.keys(POSNETKI);
+// brisanje premakne v smeti, trajno_brisanje pa izbriše iz smeti
+const DEJANJA = [
+    'ustvarjanje', 'urejanje', 'brisanje', 'dodajanje_labele', 'odstranjevanje_labele',
+    'obnovitev', 'trajno_brisanje', 'zdruzevanje_label'
+];
+
+/**
+ * posnetek(conn, entiteta, id)
+ * - vrne trenutno stanje entitete, kot ga zapišemo v prej in potem, ali null, če ne obstaja
+ * - posnetek kosa vsebuje tudi ID-je njegovih label
+ */
+async function posnetek(conn, entiteta, id) {
+    const [rows] = await conn.execute(POSNETKI[entiteta], [id]);
+    if (rows.length === 0) return null;
+
+    const stanje = rows[0];
+    if (entiteta === 'kos') {
+        const [labele] = await conn.execute('SELECT labela_id FROM kos_labela WHERE kos_id = ? ORDER BY labela_id', [id]);
+        stanje.poskodovano = Boolean(stanje.poskodovano);
+        stanje.labele = labele.map(l => l.labela_id);
+    }
+    return stanje;
+}
+
+/**
+ * zabelezi(conn, { uporabnik_id, dejanje, entiteta, entiteta_id, prej })
+ * - zapiše spremembo v revizijsko sled; potem je stanje entitete po spremembi (null, če je trajno izbrisana)
+ * - uporabnik_id je null za spremembe, ki jih naredi sistem (samodejno praznjenje smeti)
+ * - prej je posnetek pred spremembo (null pri ustvarjanju)
+ * - conn naj bo povezava v isti transakciji kot sprememba, da sled ne more manjkati ali lagati
+ */
+async function zabelezi(conn, { uporabnik_id, dejanje, entiteta, entiteta_id, prej = null }) {
+    const potem = await posnetek(conn, entiteta, entiteta_id);
+    await conn.execute(
+        'INSERT INTO revizija (uporabnik_id, dejanje, entiteta, entiteta_id, prej, potem) VALUES (?, ?, ?, ?, ?, ?)',
+        [uporabnik_id, dejanje, entiteta, entiteta_id, prej && JSON.stringify(prej), potem && JSON.stringify(potem)]
+    );
+}
+
+module.exports = {
+    ENTITETE,
+    DEJANJA,
+    posnetek,
+    zabelezi
+};
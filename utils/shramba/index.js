@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// gonilnike naložimo šele, ko jih potrebujemo (S3 gonilnik potrebuje @aws-sdk/client-s3)
+const GONILNIKI = {
+    lokalna: () => require('./lokalna.js')(),
+    s3: () => require('./s3.js')()
+};
+
+let shramba;
+
+/**
+ * pridobiShrambo()
+ * - vrne gonilnik, izbran z nastavitvijo SHRAMBA (lokalna ali s3, privzeto lokalna)
+ * - vsak gonilnik ima metode shrani(kljuc, vsebina, { mime, velikost }),
+ *   odpriTok(kljuc, { zacetek, konec }), izbrisi(kljuc) in obstaja(kljuc)
+ */
+function pridobiShrambo() {
+    if (!shramba) {
+        const ime = process.env.SHRAMBA || 'lokalna';
+        if (!GONILNIKI[ime]) {
+            throw new Error(`Neznan gonilnik shrambe '${ime}'! Dovoljeni: ${Object.keys(GONILNIKI).join(', ')}`);
+        }
+        shramba = GONILNIKI[ime]();
+    }
+    return shramba;
+}
+
+/**
+ * novKljuc(predpona)
+ * - vrne nov enoličen ključ za shranjevanje, npr. 'kosi/3f2c...'
+ */
+function novKljuc(predpona) {
+    return `${predpona}/${crypto.randomUUID()}`;
+}
+
+module.exports = {
+    pridobiShrambo,
+    novKljuc
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Gonilnik za shranjevanje datotek na lokalni datotečni sistem.
+ * Korenska mapa je process.env.SHRAMBA_POT ali mapa 'shramba' v korenu projekta.
+ */
+function ustvariLokalnoShrambo(koren = process.env.SHRAMBA_POT || path.join(__dirname, '..', '..', 'shramba')) {
+    const korenskaPot = path.resolve(koren);
+
+    // ključ ne sme kazati izven korenske mape (npr. '../')
+    function potKljuca(kljuc) {
+        const pot = path.resolve(korenskaPot, kljuc);
+        if (!pot.startsWith(korenskaPot + path.sep)) {
+            throw new Error(`Neveljaven ključ shrambe '${kljuc}'!`);
+        }
+        return pot;
+    }
+
+    // vsebina je Buffer ali bralni tok
+    async function shrani(kljuc, vsebina) {
+        const pot = potKljuca(kljuc);
+        await fsp.mkdir(path.dirname(pot), { recursive: true });
+
+        // najprej zapišemo v začasno datoteko, da bralci nikoli ne vidijo pol zapisane datoteke
+        const zacasna = `${pot}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fsp.writeFile(zacasna, vsebina);
+            await fsp.rename(zacasna, pot);
+        } catch (err) {
+            await fsp.rm(zacasna, { force: true });
+            throw err;
+        }
+    }
+
+    // zacetek in konec (vključno) omejita tok na del datoteke
+    async function odpriTok(kljuc, { zacetek, konec } = {}) {
+        return fs.createReadStream(potKljuca(kljuc), { start: zacetek, end: konec });
+    }
+
+    async function izbrisi(kljuc) {
+        await fsp.rm(potKljuca(kljuc), { force: true });
+    }
+
+    async function obstaja(kljuc) {
+        try {
+            await fsp.access(potKljuca(kljuc));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    return { ime: 'lokalna', shrani, odpriTok, izbrisi, obstaja };
+}
+
+module.exports = ustvariLokalnoShrambo;
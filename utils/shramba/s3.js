@@ -0,0 +1,66 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Gonilnik za S3 združljivo shrambo (AWS S3, MinIO, ...).
+ * Za lokalno testiranje nastavimo S3_ENDPOINT na npr. http://localhost:9000 (MinIO).
+ */
+function ustvariS3Shrambo({
+    bucket = process.env.S3_BUCKET,
+    endpoint = process.env.S3_ENDPOINT,
+    region = process.env.S3_REGION || 'us-east-1',
+    accessKeyId = process.env.S3_ACCESS_KEY,
+    secretAccessKey = process.env.S3_SECRET_KEY
+} = {}) {
+    if (!bucket) {
+        throw new Error('Za S3 shrambo manjka nastavitev S3_BUCKET!');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: Boolean(endpoint), // MinIO in podobni ne podpirajo virtual-host naslovov
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    // vsebina je Buffer ali bralni tok; za tok mora biti podana velikost (S3 zahteva Content-Length)
+    async function shrani(kljuc, vsebina, { mime, velikost } = {}) {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: kljuc,
+            Body: vsebina,
+            ContentType: mime,
+            ContentLength: velikost
+        }));
+    }
+
+    // zacetek in konec (vključno) omejita tok na del objekta
+    async function odpriTok(kljuc, { zacetek, konec } = {}) {
+        const range = zacetek !== undefined ? `bytes=${zacetek}-${konec ?? ''}` : undefined;
+        const odgovor = await client.send(new GetObjectCommand({ Bucket: bucket, Key: kljuc, Range: range }));
+        return odgovor.Body;
+    }
+
+    async function izbrisi(kljuc) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: kljuc }));
+    }
+
+    async function obstaja(kljuc) {
+        try {
+            await client.send(new HeadObjectCommand({ Bucket: bucket, Key: kljuc }));
+            return true;
+        } catch (err) {
+            if (err.$metadata?.httpStatusCode === 404) return false;
+            throw err;
+        }
+    }
+
+    return { ime: 's3', shrani, odpriTok, izbrisi, obstaja };
+}
+
+module.exports = ustvariS3Shrambo;
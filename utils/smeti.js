@@ -0,0 +1,202 @@
+const pool = require('./db.js');
+const prenos = require('./prenos.js');
+const revizija = require('./revizija.js');
+
+// koliko dni ostanejo predmeti v smeteh, preden jih trajno izbrišemo (0 izklopi samodejno praznjenje)
+const HRAMBA_DNI = parseInt(process.env.SMETI_HRAMBA_DNI || '30');
+const INTERVAL_PRAZNJENJA = 60 * 60 * 1000; // vsako uro
+
+// entitete, ki jih brisanje premakne v smeti; vse imajo stolpca izbrisano_ob in izbrisano_od
+// - opis: stolpec, ki predmet opiše v seznamu smeti
+// - kos_id: stolpec s kosom, ki mu predmet pripada (za URL komentarja)
+const ENTITETE = {
+    kos: {
+        naziv: 'Kos',
+        tabela: 'kos',
+        opis: 'ime',
+        kos_id: 'NULL',
+        url: (kos) => `/api/kosi/${kos.id}`
+    },
+    labela: {
+        naziv: 'Labela',
+        tabela: 'labela',
+        opis: 'naziv',
+        kos_id: 'NULL',
+        url: (labela) => `/api/labele/${labela.id}`
+    },
+    komentar: {
+        naziv: 'Komentar',
+        tabela: 'komentar',
+        opis: 'besedilo',
+        kos_id: 'kos_id',
+        url: (komentar) => `/api/kosi/${komentar.kos_id}/komentarji/${komentar.id}`
+    }
+};
+
+// vrstni red samodejnega praznjenja: kos s seboj odnese komentarje, labela pa ne sme biti več na kosu
+const VRSTNI_RED_PRAZNJENJA = ['komentar', 'kos', 'labela'];
+
+/**
+ * trajnoIzbrisanoOb(izbrisano_ob)
+ * - kdaj bo predmet iz smeti samodejno trajno izbrisan (null, če je samodejno praznjenje izklopljeno)
+ */
+function trajnoIzbrisanoOb(izbrisano_ob) {
+    if (!(HRAMBA_DNI > 0)) return null;
+    return new Date(izbrisano_ob.getTime() + HRAMBA_DNI * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * labelaNaKosih(conn, labela_id)
+ * - true, če je labela še na kakšnem kosu, ki ni v smeteh
+ */
+async function labelaNaKosih(conn, labela_id) {
+    const [rows] = await conn.execute(`
+        SELECT 1 FROM kos_labela kl
+        JOIN kos k ON kl.kos_id = k.id
+        WHERE kl.labela_id = ? AND k.izbrisano_ob IS NULL
+        LIMIT 1
+    `, [labela_id]);
+    return rows.length > 0;
+}
+
+/**
+ * predmetVSmeteh(conn, entiteta, id)
+ * - zaklene predmet in vrne { id, kos_id } za predmet v smeteh ali null, če predmeta ni ali ni v smeteh
+ */
+async function predmetVSmeteh(conn, entiteta, id) {
+    const { tabela, kos_id } = ENTITETE[entiteta];
+    const [rows] = await conn.execute(
+        `SELECT id, ${kos_id} AS kos_id FROM ${tabela} WHERE id = ? AND izbrisano_ob IS NOT NULL FOR UPDATE`,
+        [id]
+    );
+    return rows[0] ?? null;
+}
+
+/**
+ * obnovi(conn, entiteta, id, uporabnik_id)
+ * - vrne predmet iz smeti; povezave (labele na kosu, komentarji) so ostale nedotaknjene
+ * - vrne URL obnovljenega vira ali null, če predmeta ni v smeteh
+ */
+async function obnovi(conn, entiteta, id, uporabnik_id) {
+    const predmet = await predmetVSmeteh(conn, entiteta, id);
+    if (!predmet) return null;
+
+    const prej = await revizija.posnetek(conn, entiteta, id);
+    await conn.execute(`UPDATE ${ENTITETE[entiteta].tabela} SET izbrisano_ob = NULL, izbrisano_od = NULL WHERE id = ?`, [id]);
+    await revizija.zabelezi(conn, { uporabnik_id, dejanje: 'obnovitev', entiteta, entiteta_id: id, prej });
+
+    return ENTITETE[entiteta].url(predmet);
+}
+
+/**
+ * trajnoIzbrisi(conn, entiteta, id, uporabnik_id)
+ * - trajno izbriše predmet iz smeti; uporabnik_id je null pri samodejnem praznjenju
+ * - vrne { datoteke } s ključi shrambe, ki jih po potrditvi transakcije pobrišemo s prenos.izbrisiShranjeno,
+ *   { napaka: { status, message } } ali null, če predmeta ni v smeteh
+ */
+async function trajnoIzbrisi(conn, entiteta, id, uporabnik_id) {
+    const predmet = await predmetVSmeteh(conn, entiteta, id);
+    if (!predmet) return null;
+
+    let datoteke = [];
+    if (entiteta === 'kos') {
+        // verzije in priponke se izbrišejo skupaj s kosom (ON DELETE CASCADE), njihove datoteke pa moramo pobrisati sami
+        // (obnovljene verzije si ključ delijo s prvotno, zato UNION brez ponovitev)
+        const [rows] = await conn.execute(`
+            SELECT kljuc_shrambe FROM kos WHERE id = ?
+            UNION
+            SELECT kljuc_shrambe FROM kos_verzija WHERE kos_id = ?
+            UNION
+            SELECT kljuc_shrambe FROM priponka WHERE kos_id = ?
+        `, [id, id, id]);
+        datoteke = rows.map(r => r.kljuc_shrambe);
+    }
+
+    if (entiteta === 'labela') {
+        // kos, ki smo ga po brisanju labele obnovili iz smeti, jo še uporablja
+        if (await labelaNaKosih(conn, id)) {
+            return { napaka: { status: 409, message: 'Labela je povezana s kosom in je zato ni mogoče trajno izbrisati!' } };
+        }
+        // povezave s kosi v smeteh izginejo skupaj z labelo
+        await conn.execute('DELETE FROM kos_labela WHERE labela_id = ?', [id]);
+        // podrejene labele se premaknejo pod nadrejeno izbrisane labele, da drevo ostane povezano
+        await conn.execute(
+            'UPDATE labela p JOIN labela l ON l.id = ? SET p.nadrejena_id = l.nadrejena_id WHERE p.nadrejena_id = ?',
+            [id, id]
+        );
+    }
+
+    const prej = await revizija.posnetek(conn, entiteta, id);
+    await conn.execute(`DELETE FROM ${ENTITETE[entiteta].tabela} WHERE id = ?`, [id]);
+    await revizija.zabelezi(conn, { uporabnik_id, dejanje: 'trajno_brisanje', entiteta, entiteta_id: id, prej });
+
+    return { datoteke };
+}
+
+/**
+ * izprazniPotekle()
+ * - trajno izbriše predmete, ki so v smeteh dlje od SMETI_HRAMBA_DNI dni
+ * - vsak predmet v svoji transakciji, da en neuspeh ne ustavi ostalih
+ * - vrne število trajno izbrisanih predmetov
+ */
+async function izprazniPotekle() {
+    if (!(HRAMBA_DNI > 0)) return 0;
+
+    let izbrisanih = 0;
+    for (const entiteta of VRSTNI_RED_PRAZNJENJA) {
+        const [potekli] = await pool.execute(
+            `SELECT id FROM ${ENTITETE[entiteta].tabela} WHERE izbrisano_ob < NOW() - INTERVAL ? DAY ORDER BY id`,
+            [HRAMBA_DNI]
+        );
+
+        for (const { id } of potekli) {
+            let conn;
+            try {
+                conn = await pool.getConnection();
+                await conn.beginTransaction();
+
+                const rezultat = await trajnoIzbrisi(conn, entiteta, id, null);
+                if (!rezultat || rezultat.napaka) {
+                    // predmet je bil vmes obnovljen ali izbrisan oziroma ga še potrebujemo
+                    await conn.rollback();
+                    continue;
+                }
+                await conn.commit();
+
+                prenos.izbrisiShranjeno(rezultat.datoteke);
+                izbrisanih++;
+            } catch (err) {
+                if (conn) await conn.rollback();
+                console.error(`Samodejno brisanje predmeta ${entiteta} ${id} iz smeti ni uspelo:`, err);
+            } finally {
+                if (conn) conn.release();
+            }
+        }
+    }
+    return izbrisanih;
+}
+
+/**
+ * zazeniSamodejnoPraznjenje()
+ * - ob zagonu strežnika in nato vsako uro izprazni potekle predmete iz smeti
+ */
+function zazeniSamodejnoPraznjenje() {
+    if (!(HRAMBA_DNI > 0)) return;
+
+    const izprazni = () => izprazniPotekle().catch(err => {
+        console.error('Samodejno praznjenje smeti ni uspelo:', err);
+    });
+    izprazni();
+    setInterval(izprazni, INTERVAL_PRAZNJENJA).unref();
+}
+
+module.exports = {
+    HRAMBA_DNI,
+    ENTITETE,
+    trajnoIzbrisanoOb,
+    labelaNaKosih,
+    obnovi,
+    trajnoIzbrisi,
+    izprazniPotekle,
+    zazeniSamodejnoPraznjenje
+};
@@ -0,0 +1,86 @@
+const { fileTypeFromBuffer } = require('file-type');
+const { preberiZacetek } = require('./prenos.js');
+
+const TIPI_KOSOV = ['slika', 'audio', 'video', 'pdf'];
+
+// podprti formati: MIME brez parametrov -> tip kosa
+// (file-type ogg z opus zapisom prepozna kot 'audio/ogg; codecs=opus')
+const PODPRTI_MIME = {
+    'image/jpeg': 'slika',
+    'image/png': 'slika',
+    'image/webp': 'slika',
+    'image/heic': 'slika', // fotografije s telefonov
+    'image/heif': 'slika',
+    'audio/mpeg': 'audio',
+    'audio/wav': 'audio',
+    'audio/ogg': 'audio',
+    'video/mp4': 'video',
+    'video/webm': 'video',
+    'application/pdf': 'pdf'
+};
+
+// MIME za starejše kose, pri katerih dejanski MIME ni shranjen
+const PRIVZETI_MIME = {
+    slika: 'image/jpeg',
+    audio: 'audio/mpeg',
+    video: 'video/mp4',
+    pdf: 'application/pdf'
+};
+
+// 'audio/ogg; codecs=opus' -> 'audio/ogg'
+function osnovniMime(mime) {
+    return mime.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * prepoznajVsebino(buffer)
+ * - iz začetka vsebine prepozna dejanski format
+ * - vrne { mime, tip } za podprte formate, { mime, tip: null } za nepodprte in null, če formata ne prepozna
+ */
+async function prepoznajVsebino(buffer) {
+    const prepoznan = await fileTypeFromBuffer(buffer);
+    if (!prepoznan) {
+        return null;
+    }
+    return { mime: prepoznan.mime, tip: PODPRTI_MIME[osnovniMime(prepoznan.mime)] ?? null };
+}
+
+/**
+ * prepoznajDatoteko(pot)
+ * - kot prepoznajVsebino, le da prebere samo začetek datoteke na disku (npr. req.file.path)
+ */
+async function prepoznajDatoteko(pot) {
+    return prepoznajVsebino(await preberiZacetek(pot));
+}
+
+/**
+ * preveriDatoteko(pot, tip)
+ * - preveri, da je naložena datoteka v podprtem formatu in (če je tip podan) da ustreza tipu kosa
+ * - vrne { tip, mime } ali { napaka: { status, message } } za odgovor 415 oziroma 400
+ */
+async function preveriDatoteko(pot, tip) {
+    const prepoznan = await prepoznajDatoteko(pot);
+    if (!prepoznan || !prepoznan.tip) {
+        return { napaka: {
+            status: 415,
+            message: `Nepodprt tip kosa! Podprti formati: ${Object.keys(PODPRTI_MIME).join(', ')}`
+        } };
+    }
+    if (tip !== undefined && tip !== prepoznan.tip) {
+        return { napaka: { status: 400, message: `Vsebina kosa ne ustreza izbranemu tipu '${tip}'!` } };
+    }
+    return prepoznan;
+}
+
+function mimeKosa({ mime, tip }) {
+    return mime ?? PRIVZETI_MIME[tip] ?? 'application/octet-stream';
+}
+
+module.exports = {
+    TIPI_KOSOV,
+    PODPRTI_MIME,
+    prepoznajVsebino,
+    prepoznajDatoteko,
+    preveriDatoteko,
+    mimeKosa
+};
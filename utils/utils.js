@@ -2,13 +2,13 @@ const pool = require('./db.js');
 
 async function kosObstaja(id) {
     if (!id) return false;
-    const [rows] = await pool.execute('SELECT id FROM kos WHERE id = ?', [id]);
+    const [rows] = await pool.execute('SELECT id FROM kos WHERE id = ? AND izbrisano_ob IS NULL', [id]);
     return rows.length > 0;
 }
 
 async function labelaObstaja(id) {
     if (!id) return false;
-    const [rows] = await pool.execute('SELECT id FROM labela WHERE id = ?', [id]);
+    const [rows] = await pool.execute('SELECT id FROM labela WHERE id = ? AND izbrisano_ob IS NULL', [id]);
     return rows.length > 0;
 }
 
@@ -18,6 +18,27 @@ async function uporabnikObstaja(uporabnisko_ime) {
     return rows.length > 0;
 }
 
+/**
+ * veljavenDatum(datum)
+ * - vrne true, če je datum niz v obliki YYYY-MM-DD in predstavlja obstoječ dan
+ */
+function veljavenDatum(datum) {
+    if (typeof datum !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(datum)) return false;
+    const d = new Date(`${datum}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === datum;
+}
+
+/**
+ * danasnjiDatum()
+ * - vrne današnji (lokalni) datum v obliki YYYY-MM-DD
+ */
+function danasnjiDatum() {
+    const d = new Date();
+    const mesec = String(d.getMonth() + 1).padStart(2, '0');
+    const dan = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mesec}-${dan}`;
+}
+
 /**
  * urlVira(reqOrPath, optionalPath)
  * - če je prvi argument objekt req, sestavi URL iz req
@@ -58,5 +79,7 @@ module.exports = {
     kosObstaja,
     labelaObstaja,
     uporabnikObstaja,
+    veljavenDatum,
+    danasnjiDatum,
     urlVira
 };
\ No newline at end of file
@@ -0,0 +1,336 @@
+const os = require('os');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { parse } = require('csv-parse/sync');
+const pool = require('./db.js');
+const kosi = require('./kosi.js');
+const prenos = require('./prenos.js');
+const revizija = require('./revizija.js');
+const { TIPI_KOSOV, TIPI_LABEL } = require('./filtri.js');
+const { pridobiShrambo } = require('./shramba');
+
+const STANJA_UVOZA = ['cakajoce', 'v_teku', 'koncano', 'napaka'];
+
+// izidi posamezne vrstice manifesta v poročilu
+const USTVARJEN = 'ustvarjen';
+const PRESKOCEN = 'preskocen';
+const ZAVRNJEN = 'zavrnjen';
+
+const odpriZip = promisify(yauzl.open);
+
+/**
+ * preberiVnose(zip)
+ * - vrne Map ime -> vnos za vse datoteke v arhivu (brez map in sistemskih datotek macOS)
+ */
+function preberiVnose(zip) {
+    return new Promise((resolve, reject) => {
+        const vnosi = new Map();
+        zip.on('entry', (vnos) => {
+            if (!vnos.fileName.endsWith('/') && !vnos.fileName.startsWith('__MACOSX/')) {
+                vnosi.set(vnos.fileName, vnos);
+            }
+            zip.readEntry();
+        });
+        zip.on('end', () => resolve(vnosi));
+        zip.on('error', reject);
+        zip.readEntry();
+    });
+}
+
+async function preberiVnos(zip, vnos) {
+    const tok = await promisify(zip.openReadStream.bind(zip))(vnos);
+    const deli = [];
+    for await (const del of tok) deli.push(del);
+    return Buffer.concat(deli);
+}
+
+// razpakira vnos v začasno datoteko, ki jo lahko obdelamo kot naloženo datoteko ({ path, size })
+async function razpakirajVnos(zip, vnos) {
+    const pot = path.join(os.tmpdir(), `uvoz-${crypto.randomUUID()}`);
+    const tok = await promisify(zip.openReadStream.bind(zip))(vnos);
+    await pipeline(tok, fs.createWriteStream(pot));
+    return { path: pot, size: vnos.uncompressedSize };
+}
+
+/**
+ * labeleIzManifesta(vrednost)
+ * - labele v manifestu so seznam nazivov, v CSV-ju ločenih s podpičjem
+ * - naziv ima lahko spredaj tip labele ("pokrajina:Prekmurje"), ki se uporabi, če labelo ustvarimo
+ * - vrne [{ naziv, tip }] ali { napaka }
+ */
+function labeleIzManifesta(vrednost) {
+    const seznam = Array.isArray(vrednost)
+        ? vrednost
+        : String(vrednost ?? '').split(';');
+
+    const labele = [];
+    for (const element of seznam) {
+        let { naziv, tip } = typeof element === 'object' && element !== null ? element : { naziv: String(element) };
+        naziv = String(naziv ?? '').trim();
+
+        const dvopicje = naziv.indexOf(':');
+        if (!tip && dvopicje > 0 && TIPI_LABEL.includes(naziv.slice(0, dvopicje).trim())) {
+            tip = naziv.slice(0, dvopicje).trim();
+            naziv = naziv.slice(dvopicje + 1).trim();
+        }
+        if (naziv === '') continue;
+        if (tip !== undefined && !TIPI_LABEL.includes(tip)) {
+            return { napaka: `Neveljaven tip labele '${tip}'! Dovoljeni tipi: ${TIPI_LABEL.join(', ')}` };
+        }
+        labele.push({ naziv, tip });
+    }
+    return labele;
+}
+
+/**
+ * preberiManifest(zip, vnosi)
+ * - manifest je manifest.csv (stolpci datoteka, ime, tip, labele) ali manifest.json
+ *   (seznam objektov { datoteka, ime, tip, labele }) v korenu arhiva
+ * - vrne [{ vrstica, datoteka, ime, tip, labele }] ali { napaka }
+ */
+async function preberiManifest(zip, vnosi) {
+    const ime = [...vnosi.keys()].find(i => /^manifest\.(csv|json)$/i.test(i));
+    if (!ime) {
+        return { napaka: 'V korenu arhiva manjka manifest.csv ali manifest.json!' };
+    }
+    const vsebina = (await preberiVnos(zip, vnosi.get(ime))).toString('utf8');
+
+    try {
+        if (ime.toLowerCase().endsWith('.json')) {
+            const vrstice = JSON.parse(vsebina);
+            if (!Array.isArray(vrstice)) {
+                return { napaka: 'manifest.json mora vsebovati seznam kosov!' };
+            }
+            return vrstice.map((v, i) => ({ vrstica: i + 1, ...v }));
+        }
+
+        const vrstice = parse(vsebina, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        // prva vrstica CSV-ja je glava
+        return vrstice.map((v, i) => ({ vrstica: i + 2, ...v }));
+    } catch (err) {
+        return { napaka: `Manifesta ${ime} ni mogoče prebrati: ${err.message}` };
+    }
+}
+
+/**
+ * labeleVSmeteh(labele)
+ * - vrne nazive label iz manifesta, ki so v smeteh; kos s takšno labelo zavrnemo, ker povezave ne bi bile vidne
+ */
+async function labeleVSmeteh(labele) {
+    if (labele.length === 0) return [];
+    const [rows] = await pool.query(
+        'SELECT naziv FROM labela WHERE naziv IN (?) AND izbrisano_ob IS NOT NULL ORDER BY naziv',
+        [labele.map(l => l.naziv)]
+    );
+    return rows.map(r => r.naziv);
+}
+
+/**
+ * pridobiLabelo(naziv, tip, uporabnik_id, predpomnilnik)
+ * - vrne ID labele z nazivom; če ne obstaja, jo ustvari (brez podanega tipa s tipom 'drugo')
+ *   in ustvarjanje zabeleži v revizijsko sled kot uporabnikovo, ki je začel uvoz
+ * - vrne null, če je labela v smeteh (naziv ostane zaseden, zato je ne moremo ustvariti na novo)
+ */
+async function pridobiLabelo(naziv, tip, uporabnik_id, predpomnilnik) {
+    if (predpomnilnik.has(naziv)) return predpomnilnik.get(naziv);
+
+    let [rows] = await pool.execute('SELECT id, izbrisano_ob FROM labela WHERE naziv = ?', [naziv]);
+    if (rows.length === 0) {
+        let conn;
+        try {
+            conn = await pool.getConnection();
+            await conn.beginTransaction();
+
+            const [result] = await conn.execute('INSERT INTO labela (naziv, tip) VALUES (?, ?)', [naziv, tip ?? 'drugo']);
+            await revizija.zabelezi(conn, { uporabnik_id, dejanje: 'ustvarjanje', entiteta: 'labela', entiteta_id: result.insertId });
+            await conn.commit();
+            rows = [{ id: result.insertId, izbrisano_ob: null }];
+        } catch (err) {
+            if (conn) await conn.rollback();
+            // labelo je vmes ustvarila druga zahteva
+            if (err.code !== 'ER_DUP_ENTRY') throw err;
+            [rows] = await pool.execute('SELECT id, izbrisano_ob FROM labela WHERE naziv = ?', [naziv]);
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    const id = rows[0].izbrisano_ob ? null : rows[0].id;
+    predpomnilnik.set(naziv, id);
+    return id;
+}
+
+/**
+ * dodajLabele(kos_id, labela_ids, uporabnik_id)
+ * - poveže nov kos z labelami in dodajanje zabeleži v revizijsko sled kot paketna sprememba kosa
+ */
+async function dodajLabele(kos_id, labela_ids, uporabnik_id) {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        await kosi.spremeniKos(conn, kos_id, { dodaj_labele: labela_ids }, uporabnik_id);
+        await conn.commit();
+    } catch (err) {
+        if (conn) await conn.rollback();
+        throw err;
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+/**
+ * uvoziVrstico(zip, vnosi, vrstica, uvoz, predpomnilnik)
+ * - obdela eno vrstico manifesta in vrne njen zapis za poročilo
+ */
+async function uvoziVrstico(zip, vnosi, vrstica, uvoz, predpomnilnik) {
+    const { datoteka, ime } = vrstica;
+    const zapis = { vrstica: vrstica.vrstica, datoteka: datoteka ?? null, ime: ime ?? null };
+    const tip = vrstica.tip ? String(vrstica.tip).trim() : undefined;
+
+    if (!datoteka || !ime || String(ime).trim() === '') {
+        return { ...zapis, izid: ZAVRNJEN, razlog: 'Manjkata datoteka ali ime kosa!' };
+    }
+    if (tip !== undefined && !TIPI_KOSOV.includes(tip)) {
+        return { ...zapis, izid: ZAVRNJEN, razlog: `Neveljaven tip kosa '${tip}'! Dovoljeni tipi: ${TIPI_KOSOV.join(', ')}` };
+    }
+    const vnos = vnosi.get(String(datoteka));
+    if (!vnos) {
+        return { ...zapis, izid: ZAVRNJEN, razlog: `Datoteke '${datoteka}' ni v arhivu!` };
+    }
+    if (vnos.uncompressedSize > prenos.NAJVECJA_DATOTEKA) {
+        return { ...zapis, izid: ZAVRNJEN, razlog: 'Datoteka je prevelika!' };
+    }
+
+    const labele = labeleIzManifesta(vrstica.labele);
+    if (labele.napaka) {
+        return { ...zapis, izid: ZAVRNJEN, razlog: labele.napaka };
+    }
+    const vSmeteh = await labeleVSmeteh(labele);
+    if (vSmeteh.length > 0) {
+        return {
+            ...zapis,
+            izid: ZAVRNJEN,
+            razlog: `Labele ${vSmeteh.map(n => `'${n}'`).join(', ')} so v smeteh! Obnovite jih ali jih trajno izbrišite.`
+        };
+    }
+
+    const razpakirana = await razpakirajVnos(zip, vnos);
+    try {
+        const kos = await kosi.ustvariKos({
+            ime: String(ime).trim(),
+            tip,
+            datoteka: razpakirana,
+            nalozil_id: uvoz.zacel_id
+        });
+        if (kos.napaka) {
+            return { ...zapis, izid: kos.napaka.status === 409 ? PRESKOCEN : ZAVRNJEN, razlog: kos.napaka.message };
+        }
+
+        const labela_ids = [];
+        for (const { naziv, tip: tipLabele } of labele) {
+            const labela_id = await pridobiLabelo(naziv, tipLabele, uvoz.zacel_id, predpomnilnik);
+            // labela je šla v smeti med preverjanjem in ustvarjanjem kosa
+            if (labela_id !== null) labela_ids.push(labela_id);
+        }
+        if (labela_ids.length > 0) {
+            await dodajLabele(kos.id, labela_ids, uvoz.zacel_id);
+        }
+
+        return { ...zapis, izid: USTVARJEN, kos_id: kos.id };
+    } finally {
+        await fsp.rm(razpakirana.path, { force: true });
+    }
+}
+
+/**
+ * izvediUvoz(id)
+ * - obdela arhiv uvoza vrstico za vrstico in sproti beleži napredek
+ * - vrstica, ki ne uspe, ne ustavi uvoza; zabeleži se v poročilu
+ */
+async function izvediUvoz(id) {
+    const [rows] = await pool.execute('SELECT id, kljuc_shrambe, zacel_id FROM uvoz WHERE id = ?', [id]);
+    const uvoz = rows[0];
+    await pool.execute("UPDATE uvoz SET stanje = 'v_teku', zaceto_ob = NOW() WHERE id = ?", [id]);
+
+    const pot = path.join(os.tmpdir(), `uvoz-${crypto.randomUUID()}.zip`);
+    let zip;
+    try {
+        await pipeline(await pridobiShrambo().odpriTok(uvoz.kljuc_shrambe), fs.createWriteStream(pot));
+        zip = await odpriZip(pot, { lazyEntries: true, autoClose: false });
+
+        const vnosi = await preberiVnose(zip);
+        const vrstice = await preberiManifest(zip, vnosi);
+        if (vrstice.napaka) {
+            await pool.execute(
+                "UPDATE uvoz SET stanje = 'napaka', napaka = ?, koncano_ob = NOW() WHERE id = ?",
+                [vrstice.napaka, id]
+            );
+            return;
+        }
+        await pool.execute('UPDATE uvoz SET skupaj = ? WHERE id = ?', [vrstice.length, id]);
+
+        const porocilo = [];
+        const steci = { [USTVARJEN]: 0, [PRESKOCEN]: 0, [ZAVRNJEN]: 0 };
+        const predpomnilnik = new Map(); // naziv labele -> id (null za labelo v smeteh)
+        for (const vrstica of vrstice) {
+            const zapis = await uvoziVrstico(zip, vnosi, vrstica, uvoz, predpomnilnik);
+            porocilo.push(zapis);
+            steci[zapis.izid]++;
+            await pool.execute(
+                'UPDATE uvoz SET ustvarjenih = ?, preskocenih = ?, zavrnjenih = ? WHERE id = ?',
+                [steci[USTVARJEN], steci[PRESKOCEN], steci[ZAVRNJEN], id]
+            );
+        }
+
+        await pool.execute(
+            "UPDATE uvoz SET stanje = 'koncano', porocilo = ?, koncano_ob = NOW() WHERE id = ?",
+            [JSON.stringify(porocilo), id]
+        );
+        // arhiva ne potrebujemo več, poročilo ostane
+        prenos.izbrisiShranjeno([uvoz.kljuc_shrambe]);
+    } finally {
+        if (zip) zip.close();
+        await fsp.rm(pot, { force: true });
+    }
+}
+
+// uvozi se izvajajo eden za drugim, da ne obremenijo strežnika
+let vrsta = Promise.resolve();
+
+/**
+ * zazeniUvoz(id)
+ * - uvoz doda v vrsto in takoj vrne; nepričakovana napaka se zabeleži pri uvozu
+ */
+function zazeniUvoz(id) {
+    vrsta = vrsta.then(() => izvediUvoz(id)).catch(async (err) => {
+        console.error(`Uvoz ${id} ni uspel:`, err);
+        await pool.execute(
+            "UPDATE uvoz SET stanje = 'napaka', napaka = ?, koncano_ob = NOW() WHERE id = ?",
+            ['Notranja napaka strežnika med uvozom.', id]
+        ).catch(() => {});
+    });
+}
+
+/**
+ * nadaljujNedokoncane()
+ * - ob zagonu strežnika ponovno zažene uvoze, ki jih je prekinil izklop
+ * - že uvoženi kosi se ob ponovnem zagonu preskočijo kot podvojeni
+ */
+async function nadaljujNedokoncane() {
+    const [rows] = await pool.execute("SELECT id FROM uvoz WHERE stanje IN ('cakajoce', 'v_teku') ORDER BY id");
+    for (const { id } of rows) {
+        zazeniUvoz(id);
+    }
+}
+
+module.exports = {
+    STANJA_UVOZA,
+    zazeniUvoz,
+    nadaljujNedokoncane
+};
@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const bcrypt = require('bcrypt');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const pool = require('./db.js');
+const tipiDatotek = require('./tipiDatotek.js');
+const migracije = require('./migracije.js');
+const { pridobiShrambo } = require('./shramba');
+
+const OBLIKA = 'folklora-varnostna-kopija';
+const VERZIJA_OBLIKE = 1;
+
+// tabele v kopiji; nadrejene tabele so pred podrejenimi
+const TABELE = [
+    'uporabnik',
+    'labela',
+    'kos',
+    'kos_labela',
+    'kos_verzija',
+    'priponka',
+    'komentar',
+    'popravilo',
+    'izposoja',
+    'nastop',
+    'nastop_plesalec',
+    'nastop_kos',
+    'revizija'
+];
+
+// tabele z datotekami v shrambi (stolpec kljuc_shrambe)
+const TABELE_Z_DATOTEKAMI = ['kos', 'kos_verzija', 'priponka'];
+
+const odpriZip = promisify(yauzl.open);
+
+// verzija sheme, ki jo pričakuje koda (zadnja migracija)
+function zadnjaMigracija() {
+    return migracije.naloziMigracije().at(-1).verzija;
+}
+
+/**
+ * zakodiraj(vrednost) / odkodiraj(vrednost)
+ * - vrednosti, ki jih JSON ne zapiše brez izgube, shranimo kot označene objekte:
+ *   Buffer -> { $base64 }, Date -> { $datum }, JSON stolpec -> { $json }
+ */
+function zakodiraj(vrednost) {
+    if (Buffer.isBuffer(vrednost)) return { $base64: vrednost.toString('base64') };
+    if (vrednost instanceof Date) return { $datum: vrednost.toISOString() };
+    if (vrednost !== null && typeof vrednost === 'object') return { $json: vrednost };
+    return vrednost;
+}
+
+function odkodiraj(vrednost) {
+    if (vrednost === null || typeof vrednost !== 'object') return vrednost;
+    if ('$base64' in vrednost) return Buffer.from(vrednost.$base64, 'base64');
+    if ('$datum' in vrednost) return new Date(vrednost.$datum);
+    if ('$json' in vrednost) return JSON.stringify(vrednost.$json);
+    return vrednost;
+}
+
+function zakodirajVrstico(vrstica) {
+    return Object.fromEntries(Object.entries(vrstica).map(([stolpec, v]) => [stolpec, zakodiraj(v)]));
+}
+
+function sha256(vsebina) {
+    return crypto.createHash('sha256').update(vsebina).digest('hex');
+}
+
+// tok, ki sproti izračuna kontrolno vsoto in velikost prebranih podatkov
+function tokSKontrolnoVsoto() {
+    const hash = crypto.createHash('sha256');
+    let velikost = 0;
+    const tok = new Transform({
+        transform(del, kodiranje, callback) {
+            hash.update(del);
+            velikost += del.length;
+            callback(null, del);
+        }
+    });
+    tok.rezultat = () => ({ sha256: hash.digest('hex'), velikost });
+    return tok;
+}
+
+// kontrolna vsota in velikost celotnega toka
+async function kontrolnaVsotaToka(tok) {
+    const hash = crypto.createHash('sha256');
+    let velikost = 0;
+    for await (const del of tok) {
+        hash.update(del);
+        velikost += del.length;
+    }
+    return { sha256: hash.digest('hex'), velikost };
+}
+
+/**
+ * preberiTabelo(tabela, gesla, dodajVsebino)
+ * - vrne vrstice tabele, pripravljene za kopijo
+ * - zgoščena gesla so v kopiji samo, če jih izrecno zahtevamo
+ * - starejši kosi z vsebino v BLOB-u dobijo v kopiji ključ shrambe; njihovo vsebino
+ *   sproti, vrstico za vrstico, zapiše dodajVsebino(kljuc, vsebina, mime), da BLOB-ov ne držimo v pomnilniku
+ */
+async function preberiTabelo(tabela, gesla, dodajVsebino) {
+    if (tabela === 'kos') {
+        const [vrstice] = await pool.query('SELECT * FROM kos WHERE kljuc_shrambe IS NOT NULL OR vsebina IS NULL ORDER BY id');
+        const [stari] = await pool.query('SELECT id FROM kos WHERE kljuc_shrambe IS NULL AND vsebina IS NOT NULL ORDER BY id');
+
+        for (const { id } of stari) {
+            const [rows] = await pool.execute('SELECT * FROM kos WHERE id = ?', [id]);
+            const { vsebina, ...kos } = rows[0];
+            const kljuc = `kosi/stari-${id}`;
+            await dodajVsebino(kljuc, vsebina, tipiDatotek.mimeKosa(kos));
+            vrstice.push({ ...kos, vsebina: null, kljuc_shrambe: kljuc, velikost: vsebina.length, mime: tipiDatotek.mimeKosa(kos) });
+        }
+        return vrstice;
+    }
+
+    const [vrstice] = await pool.query(`SELECT * FROM ${tabela}`);
+    if (tabela === 'uporabnik' && !gesla) {
+        return vrstice.map(u => ({ ...u, geslo: null }));
+    }
+    return vrstice;
+}
+
+/**
+ * ustvariKopijo(izhod, { gesla })
+ * - v tok izhod zapiše ZIP arhiv s podatki vseh tabel (podatki/<tabela>.json),
+ *   vsemi datotekami iz shrambe (datoteke/<ključ>) in manifestom s kontrolnimi vsotami
+ * - predogledi niso v kopiji, ker se ob prvem ogledu ustvarijo znova
+ */
+async function ustvariKopijo(izhod, { gesla = false } = {}) {
+    const shramba = pridobiShrambo();
+    const zip = new yazl.ZipFile();
+    // če odjemalec prekine prenos, se zapisano zavrne in ustavi tudi branje datotek
+    const zapisano = pipeline(zip.outputStream, izhod);
+    zapisano.catch(() => {});
+
+    const manifest = {
+        oblika: OBLIKA,
+        verzija: VERZIJA_OBLIKE,
+        ustvarjeno_ob: new Date().toISOString(),
+        gesla,
+        shema: zadnjaMigracija(),
+        tabele: {},
+        datoteke: {}
+    };
+
+    const dodajBuffer = (ime, vsebina, dodatno = {}) => {
+        zip.addBuffer(vsebina, ime);
+        manifest.datoteke[ime] = { sha256: sha256(vsebina), velikost: vsebina.length, ...dodatno };
+    };
+
+    // BLOB starejšega kosa: počakamo, da ga zip prebere, preden preberemo naslednjega
+    const dodajVsebino = async (kljuc, vsebina, mime) => {
+        const ime = `datoteke/${kljuc}`;
+        const vsota = tokSKontrolnoVsoto();
+        zip.addReadStream(vsota, ime);
+        vsota.end(vsebina);
+        await Promise.race([finished(vsota), zapisano]);
+        manifest.datoteke[ime] = { ...vsota.rezultat(), mime };
+    };
+
+    try {
+        for (const tabela of TABELE) {
+            const vrstice = await preberiTabelo(tabela, gesla, dodajVsebino);
+            dodajBuffer(`podatki/${tabela}.json`, Buffer.from(JSON.stringify(vrstice.map(zakodirajVrstico))));
+            manifest.tabele[tabela] = vrstice.length;
+        }
+
+        // datoteke iz shrambe dodajamo eno za drugo, da jih ne držimo v pomnilniku
+        const [datoteke] = await pool.query(
+            TABELE_Z_DATOTEKAMI
+                .map(t => `SELECT kljuc_shrambe, mime FROM ${t} WHERE kljuc_shrambe IS NOT NULL`)
+                .join(' UNION ')
+        );
+        const dodane = new Set();
+        for (const { kljuc_shrambe, mime } of datoteke) {
+            if (dodane.has(kljuc_shrambe)) continue;
+            dodane.add(kljuc_shrambe);
+
+            const ime = `datoteke/${kljuc_shrambe}`;
+            const vsota = tokSKontrolnoVsoto();
+            zip.addReadStream(vsota, ime);
+            await Promise.race([pipeline(await shramba.odpriTok(kljuc_shrambe), vsota), zapisano]);
+            manifest.datoteke[ime] = { ...vsota.rezultat(), mime };
+        }
+
+        zip.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2)), 'manifest.json');
+        zip.end();
+        await zapisano;
+    } catch (err) {
+        // nedokončan arhiv ne sme izgledati kot veljavna kopija
+        zip.outputStream.destroy(err);
+        throw err;
+    }
+}
+
+function preberiVnose(zip) {
+    return new Promise((resolve, reject) => {
+        const vnosi = new Map();
+        zip.on('entry', (vnos) => {
+            if (!vnos.fileName.endsWith('/')) vnosi.set(vnos.fileName, vnos);
+            zip.readEntry();
+        });
+        zip.on('end', () => resolve(vnosi));
+        zip.on('error', reject);
+        zip.readEntry();
+    });
+}
+
+async function preberiVnos(zip, vnos) {
+    const tok = await promisify(zip.openReadStream.bind(zip))(vnos);
+    const deli = [];
+    for await (const del of tok) deli.push(del);
+    return Buffer.concat(deli);
+}
+
+async function odpriKopijo(pot) {
+    const zip = await odpriZip(pot, { lazyEntries: true, autoClose: false });
+    return { zip, vnosi: await preberiVnose(zip) };
+}
+
+/**
+ * preveriArhiv(zip, vnosi)
+ * - preveri obliko kopije, kontrolne vsote vseh datotek, število vrstic v tabelah
+ *   in da je vsaka datoteka, na katero kažejo podatki, v arhivu
+ * - vrne { manifest, podatki } ali { napaka }
+ */
+async function preveriArhiv(zip, vnosi) {
+    if (!vnosi.has('manifest.json')) {
+        return { napaka: 'Arhiv nima manifesta (manifest.json) in ni varnostna kopija!' };
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse((await preberiVnos(zip, vnosi.get('manifest.json'))).toString('utf8'));
+    } catch (err) {
+        return { napaka: `Manifesta ni mogoče prebrati: ${err.message}` };
+    }
+    if (manifest.oblika !== OBLIKA || manifest.verzija !== VERZIJA_OBLIKE) {
+        return { napaka: `Nepodprta oblika kopije '${manifest.oblika}' (verzija ${manifest.verzija})!` };
+    }
+
+    for (const [ime, { sha256: pricakovana, velikost }] of Object.entries(manifest.datoteke ?? {})) {
+        const vnos = vnosi.get(ime);
+        if (!vnos) {
+            return { napaka: `Datoteke ${ime} iz manifesta ni v arhivu!` };
+        }
+        const rezultat = await kontrolnaVsotaToka(await promisify(zip.openReadStream.bind(zip))(vnos));
+        if (rezultat.sha256 !== pricakovana || rezultat.velikost !== velikost) {
+            return { napaka: `Kontrolna vsota datoteke ${ime} se ne ujema - arhiv je poškodovan!` };
+        }
+    }
+
+    const podatki = {};
+    for (const tabela of TABELE) {
+        const ime = `podatki/${tabela}.json`;
+        if (!manifest.datoteke?.[ime]) {
+            return { napaka: `V kopiji manjkajo podatki tabele ${tabela}!` };
+        }
+        podatki[tabela] = JSON.parse((await preberiVnos(zip, vnosi.get(ime))).toString('utf8'));
+        if (podatki[tabela].length !== manifest.tabele[tabela]) {
+            return { napaka: `Število vrstic tabele ${tabela} se ne ujema z manifestom!` };
+        }
+    }
+
+    for (const tabela of TABELE_Z_DATOTEKAMI) {
+        for (const { kljuc_shrambe } of podatki[tabela]) {
+            if (kljuc_shrambe && !manifest.datoteke[`datoteke/${kljuc_shrambe}`]) {
+                return { napaka: `Datoteka '${kljuc_shrambe}' iz tabele ${tabela} manjka v kopiji!` };
+            }
+        }
+    }
+
+    return { manifest, podatki };
+}
+
+/**
+ * preveriKopijo(pot)
+ * - preveri celovitost arhiva na disku brez spreminjanja baze
+ * - vrne { manifest } ali { napaka }
+ */
+async function preveriKopijo(pot) {
+    const { zip, vnosi } = await odpriKopijo(pot);
+    try {
+        const preverjena = await preveriArhiv(zip, vnosi);
+        return preverjena.napaka ? preverjena : { manifest: preverjena.manifest };
+    } finally {
+        zip.close();
+    }
+}
+
+async function vstaviVrstice(conn, tabela, vrstice) {
+    for (const vrstica of vrstice) {
+        const stolpci = Object.keys(vrstica);
+        if (stolpci.some(s => !/^[a-z0-9_]+$/i.test(s))) {
+            throw new Error(`Neveljavno ime stolpca v tabeli ${tabela}!`);
+        }
+        const sql = `INSERT INTO ${tabela} (${stolpci.map(s => `\`${s}\``).join(', ')}) VALUES (${stolpci.map(() => '?').join(', ')})`;
+        await conn.execute(sql, stolpci.map(s => odkodiraj(vrstica[s])));
+    }
+}
+
+/**
+ * osiroteleVrstice(conn)
+ * - SET FOREIGN_KEY_CHECKS = 1 že vstavljenih vrstic ne preveri, zato tuje ključe tabel iz kopije preverimo sami
+ * - vrne opis prvega kršenega tujega ključa ali null
+ */
+async function osiroteleVrstice(conn) {
+    const [kljuci] = await conn.query(`
+        SELECT CONSTRAINT_NAME AS ime, TABLE_NAME AS tabela, COLUMN_NAME AS stolpec,
+            REFERENCED_TABLE_NAME AS nadrejena, REFERENCED_COLUMN_NAME AS nadrejeni_stolpec
+        FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME IS NOT NULL AND TABLE_NAME IN (?)
+        ORDER BY TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION
+    `, [TABELE]);
+
+    // sestavljeni ključi imajo po eno vrstico za vsak stolpec
+    const poKljucih = new Map();
+    for (const kljuc of kljuci) {
+        const id = `${kljuc.tabela}.${kljuc.ime}`;
+        if (!poKljucih.has(id)) poKljucih.set(id, []);
+        poKljucih.get(id).push(kljuc);
+    }
+
+    for (const [id, stolpci] of poKljucih) {
+        const { tabela, nadrejena } = stolpci[0];
+        // imena tabel in stolpcev so iz information_schema, ne iz kopije
+        const [rows] = await conn.query(`
+            SELECT COUNT(*) AS st FROM \`${tabela}\` c
+            LEFT JOIN \`${nadrejena}\` p ON ${stolpci.map(k => `c.\`${k.stolpec}\` = p.\`${k.nadrejeni_stolpec}\``).join(' AND ')}
+            WHERE ${stolpci.map(k => `c.\`${k.stolpec}\` IS NOT NULL`).join(' AND ')}
+                AND p.\`${stolpci[0].nadrejeni_stolpec}\` IS NULL
+        `);
+        if (rows[0].st > 0) {
+            return `Kopija ni skladna: ${rows[0].st} vrstic tabele ${tabela} se sklicuje na neobstoječe vrstice tabele ${nadrejena} (${id})!`;
+        }
+    }
+    return null;
+}
+
+/**
+ * obnoviKopijo(pot)
+ * - iz preverjenega arhiva obnovi prazno instanco: datoteke v shrambo, vrstice v bazo (z istimi ID-ji)
+ * - če baza ni prazna ali se vrstice v kopiji sklicujejo na neobstoječe vrstice, obnove ne izvede
+ * - uporabniki brez zgoščenega gesla v kopiji dobijo naključno začasno geslo
+ * - vrne { tabele, datotek, zacasnaGesla } ali { napaka }
+ */
+async function obnoviKopijo(pot) {
+    const { zip, vnosi } = await odpriKopijo(pot);
+    const shramba = pridobiShrambo();
+    const shranjeni = [];
+    let conn;
+    try {
+        const preverjena = await preveriArhiv(zip, vnosi);
+        if (preverjena.napaka) return preverjena;
+        const { manifest, podatki } = preverjena;
+
+        // podatki se ujemajo s tabelami samo pri isti verziji sheme
+        const napakaSheme = await migracije.preveriShemo();
+        if (napakaSheme) return { napaka: napakaSheme };
+        if (manifest.shema !== zadnjaMigracija()) {
+            return { napaka: `Kopija je iz sheme verzije ${manifest.shema}, baza pa ima verzijo ${zadnjaMigracija()}!` };
+        }
+
+        for (const tabela of TABELE) {
+            const [rows] = await pool.query(`SELECT COUNT(*) AS st FROM ${tabela}`);
+            if (rows[0].st > 0) {
+                return { napaka: `Baza ni prazna (tabela ${tabela} ima ${rows[0].st} vrstic)! Kopijo lahko obnovimo samo v prazno instanco.` };
+            }
+        }
+
+        const zacasnaGesla = [];
+        for (const uporabnik of podatki.uporabnik) {
+            if (uporabnik.geslo) continue;
+            const geslo = crypto.randomBytes(9).toString('base64url');
+            uporabnik.geslo = await bcrypt.hash(geslo, 10);
+            zacasnaGesla.push({ uporabnisko_ime: uporabnik.uporabnisko_ime, geslo });
+        }
+
+        for (const [ime, { mime, velikost }] of Object.entries(manifest.datoteke)) {
+            if (!ime.startsWith('datoteke/')) continue;
+            const kljuc = ime.slice('datoteke/'.length);
+            const tok = await promisify(zip.openReadStream.bind(zip))(vnosi.get(ime));
+            await shramba.shrani(kljuc, tok, { mime, velikost });
+            shranjeni.push(kljuc);
+        }
+
+        conn = await pool.getConnection();
+        // tabele se sklicujejo druga na drugo (kos.glavna_priponka_id), zato tuje ključe preverimo šele na koncu
+        await conn.query('SET FOREIGN_KEY_CHECKS = 0');
+        await conn.beginTransaction();
+        for (const tabela of TABELE) {
+            await vstaviVrstice(conn, tabela, podatki[tabela]);
+        }
+        const osirotele = await osiroteleVrstice(conn);
+        if (osirotele) {
+            await conn.rollback();
+            await Promise.all(shranjeni.map(kljuc => shramba.izbrisi(kljuc).catch(() => {})));
+            return { napaka: osirotele };
+        }
+        await conn.commit();
+
+        return { tabele: manifest.tabele, datotek: shranjeni.length, zacasnaGesla };
+    } catch (err) {
+        if (conn) await conn.rollback();
+        await Promise.all(shranjeni.map(kljuc => shramba.izbrisi(kljuc).catch(() => {})));
+        throw err;
+    } finally {
+        if (conn) {
+            await conn.query('SET FOREIGN_KEY_CHECKS = 1');
+            conn.release();
+        }
+        zip.close();
+    }
+}
+
+module.exports = {
+    TABELE,
+    ustvariKopijo,
+    preveriKopijo,
+    obnoviKopijo
+};
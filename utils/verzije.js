@@ -0,0 +1,69 @@
+const { pridobiShrambo, novKljuc } = require('./shramba');
+const tipiDatotek = require('./tipiDatotek.js');
+
+/**
+ * dodajVerzijo(conn, kos_id, { tip, mime, kljuc_shrambe, velikost, nalozil_id, obnovljena_iz_id })
+ * - zapiše novo verzijo vsebine kosa (s številko za ena večjo od zadnje) in jo nastavi kot trenutno vsebino kosa
+ * - kos mora biti v transakciji zaklenjen (SELECT ... FOR UPDATE), da dve verziji ne dobita iste številke
+ * - vrne številko nove verzije
+ */
+async function dodajVerzijo(conn, kos_id, { tip, mime, kljuc_shrambe, velikost, nalozil_id, obnovljena_iz_id = null }) {
+    const [zadnja] = await conn.execute('SELECT MAX(stevilka) AS stevilka FROM kos_verzija WHERE kos_id = ?', [kos_id]);
+    const stevilka = (zadnja[0].stevilka ?? 0) + 1;
+
+    const sql = `
+        INSERT INTO kos_verzija (kos_id, stevilka, tip, mime, kljuc_shrambe, velikost, nalozil_id, obnovljena_iz_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    await conn.execute(sql, [kos_id, stevilka, tip, mime, kljuc_shrambe, velikost, nalozil_id, obnovljena_iz_id]);
+    await conn.execute(
+        'UPDATE kos SET tip = ?, mime = ?, kljuc_shrambe = ?, velikost = ? WHERE id = ?',
+        [tip, mime, kljuc_shrambe, velikost, kos_id]
+    );
+    return stevilka;
+}
+
+/**
+ * zagotoviPrvoVerzijo(conn, kos_id)
+ * - kosi, dodani pred uvedbo verzij, še nimajo zapisane prve verzije; zapišemo jo iz trenutne vsebine
+ * - vsebino starejših kosov, ki je še v BLOB-u, pri tem prenesemo v shrambo
+ */
+async function zagotoviPrvoVerzijo(conn, kos_id) {
+    const [verzije] = await conn.execute('SELECT id FROM kos_verzija WHERE kos_id = ? LIMIT 1', [kos_id]);
+    if (verzije.length > 0) return;
+
+    const [rows] = await conn.execute(
+        'SELECT tip, mime, kljuc_shrambe, velikost, nalozil_id, ustvarjeno_ob FROM kos WHERE id = ?',
+        [kos_id]
+    );
+    const kos = rows[0];
+
+    if (!kos.kljuc_shrambe) {
+        const [blobi] = await conn.execute('SELECT vsebina FROM kos WHERE id = ?', [kos_id]);
+        const vsebina = blobi[0].vsebina;
+        if (!vsebina) return;
+
+        const prepoznan = await tipiDatotek.prepoznajVsebino(vsebina);
+        kos.mime = prepoznan ? prepoznan.mime : tipiDatotek.mimeKosa(kos);
+        kos.kljuc_shrambe = novKljuc('kosi');
+        kos.velikost = vsebina.length;
+        await pridobiShrambo().shrani(kos.kljuc_shrambe, vsebina, { mime: kos.mime });
+        await conn.execute(
+            'UPDATE kos SET mime = ?, kljuc_shrambe = ?, velikost = ?, vsebina = NULL WHERE id = ?',
+            [kos.mime, kos.kljuc_shrambe, kos.velikost, kos_id]
+        );
+    }
+
+    const sql = `
+        INSERT INTO kos_verzija (kos_id, stevilka, tip, mime, kljuc_shrambe, velikost, nalozil_id, nalozeno_ob)
+        VALUES (?, 1, ?, ?, ?, ?, ?, ?)
+    `;
+    await conn.execute(sql, [
+        kos_id, kos.tip, tipiDatotek.mimeKosa(kos), kos.kljuc_shrambe, kos.velikost, kos.nalozil_id, kos.ustvarjeno_ob
+    ]);
+}
+
+module.exports = {
+    dodajVerzijo,
+    zagotoviPrvoVerzijo
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db.js');
+
+const TRAJANJE_ZETONA = '1h';
+const TRAJANJE_OSVEZILNEGA_ZETONA_DNI = 30;
+
+// v bazi hranimo samo zgoščeno vrednost osvežilnega žetona
+function zgostiZeton(zeton) {
+    return crypto.createHash('sha256').update(zeton).digest('hex');
+}
+
+function podpisiZeton(uporabnik) {
+    return jwt.sign(
+        {
+            id: uporabnik.id,
+            uporabnisko_ime: uporabnik.uporabnisko_ime,
+            tip_uporabnika: uporabnik.tip_uporabnika
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: TRAJANJE_ZETONA, jwtid: crypto.randomUUID() }
+    );
+}
+
+async function izdajOsvezilniZeton(uporabnik_id, conn = pool) {
+    const zeton = crypto.randomBytes(48).toString('hex');
+    const sql = `
+        INSERT INTO osvezilni_zeton (uporabnik_id, zeton_hash, velja_do)
+        VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+    `;
+    const [result] = await conn.execute(sql, [uporabnik_id, zgostiZeton(zeton), TRAJANJE_OSVEZILNEGA_ZETONA_DNI]);
+    return { zeton, id: result.insertId };
+}
+
+/**
+ * izdajZetone(uporabnik, conn)
+ * - uporabnik mora imeti id, uporabnisko_ime in tip_uporabnika
+ * - vrne par { token, refresh_token }
+ */
+async function izdajZetone(uporabnik, conn = pool) {
+    const osvezilni = await izdajOsvezilniZeton(uporabnik.id, conn);
+    return {
+        token: podpisiZeton(uporabnik),
+        refresh_token: osvezilni.zeton
+    };
+}
+
+/**
+ * preklicajVseZetone(uporabnik_id, conn)
+ * Prekliče vse osvežilne žetone uporabnika in vse dostopne žetone,
+ * izdane pred tem trenutkom (npr. ob spremembi gesla).
+ */
+async function preklicajVseZetone(uporabnik_id, conn = pool) {
+    await conn.execute('UPDATE uporabnik SET zetoni_veljavni_od = NOW() WHERE id = ?', [uporabnik_id]);
+    await conn.execute(
+        'UPDATE osvezilni_zeton SET preklican_ob = NOW() WHERE uporabnik_id = ? AND preklican_ob IS NULL',
+        [uporabnik_id]
+    );
+}
+
+/**
+ * zamenjajOsvezilniZeton(zeton)
+ * Rotacija: stari osvežilni žeton se prekliče in nadomesti z novim.
+ * Če je bil poslan že preklican žeton (ponovna uporaba => verjetno ukraden),
+ * se prekličejo vsi žetoni uporabnika.
+ * Vrne nov par { token, refresh_token } ali null, če žeton ni veljaven.
+ */
+async function zamenjajOsvezilniZeton(zeton) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const sql = `
+            SELECT
+                oz.id,
+                oz.preklican_ob,
+                oz.velja_do > NOW() AS veljaven,
+                u.id AS uporabnik_id,
+                u.uporabnisko_ime,
+                u.tip_uporabnika
+            FROM osvezilni_zeton oz
+            JOIN uporabnik u ON oz.uporabnik_id = u.id
+            WHERE oz.zeton_hash = ?
+            FOR UPDATE
+        `;
+        const [rows] = await conn.execute(sql, [zgostiZeton(zeton)]);
+        const obstojeci = rows[0];
+
+        if (!obstojeci || !obstojeci.veljaven) {
+            await conn.rollback();
+            return null;
+        }
+
+        if (obstojeci.preklican_ob) {
+            await preklicajVseZetone(obstojeci.uporabnik_id, conn);
+            await conn.commit();
+            return null;
+        }
+
+        const uporabnik = {
+            id: obstojeci.uporabnik_id,
+            uporabnisko_ime: obstojeci.uporabnisko_ime,
+            tip_uporabnika: obstojeci.tip_uporabnika
+        };
+        const osvezilni = await izdajOsvezilniZeton(uporabnik.id, conn);
+        await conn.execute(
+            'UPDATE osvezilni_zeton SET preklican_ob = NOW(), nadomescen_z = ? WHERE id = ?',
+            [osvezilni.id, obstojeci.id]
+        );
+
+        await conn.commit();
+        return { token: podpisiZeton(uporabnik), refresh_token: osvezilni.zeton };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function preklicajOsvezilniZeton(zeton, uporabnik_id) {
+    const sql = `
+        UPDATE osvezilni_zeton SET preklican_ob = NOW()
+        WHERE zeton_hash = ? AND uporabnik_id = ? AND preklican_ob IS NULL
+    `;
+    await pool.execute(sql, [zgostiZeton(zeton), uporabnik_id]);
+}
+
+/**
+ * preklicajDostopniZeton(payload)
+ * - payload je dekodiran JWT (req.user)
+ * - jti se doda na seznam preklicanih do izteka žetona
+ */
+async function preklicajDostopniZeton(payload) {
+    if (!payload.jti) return;
+
+    // sproti počistimo preklicane žetone, ki so že potekli
+    await pool.execute('DELETE FROM preklican_zeton WHERE velja_do < NOW()');
+    await pool.execute(
+        'INSERT IGNORE INTO preklican_zeton (jti, velja_do) VALUES (?, FROM_UNIXTIME(?))',
+        [payload.jti, payload.exp]
+    );
+}
+
+/**
+ * preveriZeton(payload)
+ * Preveri, da uporabnik še obstaja, da žeton ni na seznamu preklicanih
+ * in da ni bil izdan pred zadnjim preklicem vseh žetonov.
+ * iat ima natančnost ene sekunde, zato žeton, izdan v isti sekundi kot preklic, velja za preklicanega
+ * (sicer bi ukraden žeton preživel spremembo gesla); tudi prijava v tej sekundi dobi neveljaven žeton.
+ * Vrne trenutne podatke uporabnika ali undefined.
+ */
+async function preveriZeton(payload) {
+    const sql = `
+        SELECT u.id, u.uporabnisko_ime, u.tip_uporabnika
+        FROM uporabnik u
+        WHERE u.id = ?
+            AND (u.zetoni_veljavni_od IS NULL OR u.zetoni_veljavni_od < FROM_UNIXTIME(?))
+            AND NOT EXISTS (SELECT 1 FROM preklican_zeton pz WHERE pz.jti = ?)
+    `;
+    const [rows] = await pool.execute(sql, [payload.id, payload.iat, payload.jti ?? null]);
+    return rows[0];
+}
+
+module.exports = {
+    izdajZetone,
+    zamenjajOsvezilniZeton,
+    preklicajOsvezilniZeton,
+    preklicajDostopniZeton,
+    preklicajVseZetone,
+    preveriZeton
+};